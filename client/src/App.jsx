@@ -3,52 +3,56 @@ import Navbar from "./components/Navbar";
 import Hero from "./components/Hero";
 import Room from "./components/Room";
 import JoinRoomModal from "./components/JoinRoomModal";
-import socketService from "./socket";
-
-const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || "http://127.0.0.1:5000";
-
-function generateRoomId() {
-  const chars = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
-  return Array.from(
-    crypto.getRandomValues(new Uint8Array(6)),
-    (b) => chars[b % chars.length]
-  ).join("");
+import socketService, { SERVER_EVENTS } from "./socket";
+import spotifyApi from "./spotifyApi";
+import { fetchSpotifyProfile, loginWithSpotify } from "./hooks/useSpotify";
+import { BACKEND_URL } from "./config";
+
+// ─── Invite links ─────────────────────────────────────────────────────────────
+// Share links are /?room=CODE&invite=TOKEN — the token is the server's signed
+// invite. Plain /?room=CODE links (and older /room/CODE ones) work too. The
+// server hands both back after a Spotify login so the invite survives the round trip.
+const ROOM_CODE_PATTERN = /^[A-Za-z0-9][A-Za-z0-9-]{2,30}[A-Za-z0-9]$/;
+
+// → { room, token } or null; token is null for a plain code link
+function readInvite(params) {
+  const room = params.get("room") ?? window.location.pathname.match(/^\/room\/([^/]+)\/?$/)?.[1];
+  if (!room || !ROOM_CODE_PATTERN.test(room)) return null;
+  return { room: room.toUpperCase(), token: params.get("invite") };
 }
 
 // ─── Token helpers ────────────────────────────────────────────────────────────
-
-function saveTokens({ access_token, refresh_token, expires_in }) {
-  localStorage.setItem("spotify_access_token", access_token);
-  if (refresh_token) {
-    localStorage.setItem("spotify_refresh_token", refresh_token);
-  }
-  // Store expiry as an absolute timestamp (shave 60s off for safety margin)
-  const expiresAt = Date.now() + (Number(expires_in) - 60) * 1000;
-  localStorage.setItem("spotify_expires_at", String(expiresAt));
+// Spotify tokens live on the server. The browser only carries an HttpOnly
+// session cookie, and /token hands out short-lived access tokens for it.
+
+// → { access_token, expires_in }, or null when there is no session.
+// force: Spotify rejected the current token — have the server refresh it now
+async function fetchAccessToken({ force = false } = {}) {
+  const res = await fetch(`${BACKEND_URL}/token${force ? "?refresh=1" : ""}`, { credentials: "include" });
+  if (res.status === 401) return null;
+  if (!res.ok) throw new Error("Token request failed");
+  return res.json();
 }
 
-function loadTokens() {
-  return {
-    accessToken:  localStorage.getItem("spotify_access_token"),
-    refreshToken: localStorage.getItem("spotify_refresh_token"),
-    expiresAt:    Number(localStorage.getItem("spotify_expires_at") || 0),
-  };
+// auth_error codes the server's /callback redirects back with
+const AUTH_ERRORS = {
+  access_denied:         "Spotify login was cancelled.",
+  state_mismatch:        "That login link didn't come from this browser. Please log in again.",
+  state_expired:         "The login took too long. Please try again.",
+  token_exchange_failed: "Couldn't finish logging in with Spotify. Please try again.",
+};
+
+function authErrorMessage(code) {
+  return AUTH_ERRORS[code] ?? `Spotify login failed: ${code.replace(/_/g, " ")}`;
 }
 
-function clearTokens() {
+// Tokens used to be kept in localStorage — make sure none are left behind
+function clearLegacyTokens() {
   localStorage.removeItem("spotify_access_token");
   localStorage.removeItem("spotify_refresh_token");
   localStorage.removeItem("spotify_expires_at");
 }
 
-async function refreshAccessToken(refreshToken) {
-  const res = await fetch(
-    `${BACKEND_URL}/refresh?refresh_token=${encodeURIComponent(refreshToken)}`
-  );
-  if (!res.ok) throw new Error("Token refresh failed");
-  return res.json(); // { access_token, expires_in }
-}
-
 // ─── App ──────────────────────────────────────────────────────────────────────
 
 export default function App() {
@@ -57,95 +61,124 @@ export default function App() {
   const [error, setError]             = useState(null);
   const [showJoinModal, setShowJoinModal] = useState(false);
   const [spotifyToken, setSpotifyToken]   = useState(null);
+  const [sessionChecked, setSessionChecked] = useState(false);
+  const [invite, setInvite]               = useState(null); // { room, token } from an invite link
+  const [joinError, setJoinError]         = useState(null); // { code, message } — shown in the join modal
+  const [joinCode, setJoinCode]           = useState("");   // pre-fills the join modal
+  const [outdated, setOutdated]           = useState(null); // "please refresh" — the server speaks another protocol
 
   const roomIdRef        = useRef(null);
   const refreshTimerRef  = useRef(null);
 
-  // ── Schedule a proactive token refresh ──────────────────────────────────────
-  const scheduleRefresh = useCallback((expiresAt, refreshToken) => {
+  // ── Keep a fresh access token — ask again a minute before it expires ──────
+  // → the new access token, or null when there isn't one
+  const loadToken = useCallback(async (options) => {
     if (refreshTimerRef.current) clearTimeout(refreshTimerRef.current);
-
-    const delay = expiresAt - Date.now(); // ms until expiry (already has 60s buffer)
-    if (delay <= 0 || !refreshToken) return;
-
-    refreshTimerRef.current = setTimeout(async () => {
-      try {
-        const data = await refreshAccessToken(refreshToken);
-        const { access_token, expires_in } = data;
-
-        saveTokens({ access_token, refresh_token: refreshToken, expires_in });
-        setSpotifyToken(access_token);
-        scheduleRefresh(Number(localStorage.getItem("spotify_expires_at")), refreshToken);
-        console.log("[Duo-fy] Token refreshed silently.");
-      } catch (err) {
-        console.error("[Duo-fy] Silent refresh failed:", err);
-        clearTokens();
+    try {
+      const data = await fetchAccessToken(options);
+      if (!data) {
         setSpotifyToken(null);
+        return null;
       }
-    }, delay);
+      setSpotifyToken(data.access_token);
+      const delay = Math.max((Number(data.expires_in) - 60) * 1000, 30000);
+      refreshTimerRef.current = setTimeout(loadToken, delay);
+      return data.access_token;
+    } catch (err) {
+      // Server unreachable — keep the current token and try again shortly
+      console.error("[Duo-fy] Token refresh failed:", err);
+      refreshTimerRef.current = setTimeout(loadToken, 30000);
+      return null;
+    }
   }, []);
 
-  // ── On mount: parse URL params OR restore from localStorage ─────────────────
+  // A Web API call got a 401 — the API client retries once with a forced refresh
+  useEffect(() => spotifyApi.setTokenRefresher(() => loadToken({ force: true })), [loadToken]);
+
+  // ── On mount: surface login errors, then pick up the session if there is one ─
   useEffect(() => {
-    const params = new URLSearchParams(window.location.search);
-    const accessToken  = params.get("access_token");
-    const refreshToken = params.get("refresh_token");
-    const expiresIn    = params.get("expires_in");
-    const authError    = params.get("auth_error");
+    const params    = new URLSearchParams(window.location.search);
+    const authError = params.get("auth_error");
+
+    setInvite(readInvite(params));
 
     // Always clean the URL regardless
-    if (params.toString()) {
+    if (params.toString() || window.location.pathname !== "/") {
       window.history.replaceState({}, document.title, "/");
     }
 
-    if (authError) {
-      setError(`Spotify login failed: ${authError.replace(/_/g, " ")}`);
-      return;
-    }
-
-    if (accessToken) {
-      // Fresh login callback
-      saveTokens({ access_token: accessToken, refresh_token: refreshToken, expires_in: expiresIn });
-      setSpotifyToken(accessToken);
-      scheduleRefresh(Number(localStorage.getItem("spotify_expires_at")), refreshToken);
-      return;
-    }
-
-    // Restore existing session
-    const { accessToken: stored, refreshToken: storedRefresh, expiresAt } = loadTokens();
-    if (stored) {
-      if (expiresAt && Date.now() >= expiresAt) {
-        // Token already expired — try to refresh immediately
-        if (storedRefresh) {
-          refreshAccessToken(storedRefresh)
-            .then(({ access_token, expires_in }) => {
-              saveTokens({ access_token, refresh_token: storedRefresh, expires_in });
-              setSpotifyToken(access_token);
-              scheduleRefresh(Number(localStorage.getItem("spotify_expires_at")), storedRefresh);
-            })
-            .catch(() => {
-              clearTokens();
-            });
-        } else {
-          clearTokens();
-        }
-      } else {
-        setSpotifyToken(stored);
-        scheduleRefresh(expiresAt, storedRefresh);
-      }
-    }
+    clearLegacyTokens();
+    if (authError) setError(authErrorMessage(authError));
+    loadToken().finally(() => setSessionChecked(true));
 
     return () => {
       if (refreshTimerRef.current) clearTimeout(refreshTimerRef.current);
     };
-  // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+  }, [loadToken]);
+
+  // ── Share who we are with any room we create or join ──────────────────────
+  useEffect(() => {
+    if (!spotifyToken) return;
+    fetchSpotifyProfile(spotifyToken)
+      .then((me) => me && socketService.setProfile({
+        displayName: me.name,
+        avatarUrl:   me.avatarUrl,
+        product:     me.product,
+      }))
+      .catch(() => {});
+  }, [spotifyToken]);
 
   // ── Room ref sync ─────────────────────────────────────────────────────────
   useEffect(() => {
     roomIdRef.current = roomId;
   }, [roomId]);
 
+  // ── Resume a room this tab was in before a reload ───────────────────────────
+  useEffect(() => {
+    if (!socketService.hasSavedSession) return;
+    setLoading(true);
+    socketService.connect();
+    socketService.resumeRoom()
+      .then((res) => setRoomId(res.roomId))
+      .catch(() => socketService.disconnect())
+      .finally(() => setLoading(false));
+  }, []);
+
+  // ── Give up if the server no longer holds our slot after a reconnect ──────
+  useEffect(() => socketService.on("room-resume-failed", (err) => {
+    setError(err?.message || "Lost your place in the room.");
+    setRoomId(null);
+    socketService.disconnect();
+  }), []);
+
+  // ── The room sat idle too long and the server closed it ───────────────────
+  useEffect(() => socketService.on(SERVER_EVENTS.ROOM_EXPIRED, () => {
+    setError("This room closed after a long time without activity. Start a new one anytime.");
+    setRoomId(null);
+    socketService.disconnect();
+  }), []);
+
+  // ── Same account opened the room in another tab or on another device ─────
+  useEffect(() => socketService.on(SERVER_EVENTS.SESSION_REPLACED, () => {
+    setError("You're listening in this room from another tab or device now.");
+    setRoomId(null);
+    socketService.disconnect();
+  }), []);
+
+  // ── The server only lets logged-in users connect ──────────────────────────
+  useEffect(() => socketService.on("unauthorized", (err) => {
+    setError(err.message);
+    setRoomId(null);
+    socketService.disconnect();
+  }), []);
+
+  // ── This bundle is older (or newer) than the server — only a reload helps ──
+  useEffect(() => socketService.on("protocol-mismatch", (err) => {
+    setOutdated(err.message);
+    setRoomId(null);
+    socketService.disconnect();
+  }), []);
+
   useEffect(() => {
     return () => {
       if (roomIdRef.current) socketService.leaveRoom(roomIdRef.current);
@@ -161,15 +194,15 @@ export default function App() {
     socketService.disconnect();
   }, []);
 
-  const handleCreateRoom = useCallback(async () => {
+  // The server picks the code; passcode (optional) protects the room
+  const handleCreateRoom = useCallback(async (passcode) => {
     if (loading) return;
-    const newId = generateRoomId();
     setLoading(true);
     setError(null);
     try {
       if (!socketService.connected) socketService.connect();
-      await socketService.createRoom(newId);
-      setRoomId(newId);
+      const res = await socketService.createRoom({ passcode });
+      setRoomId(res.roomId);
     } catch (err) {
       handleConnectionFailure(err?.message || "Failed to create room.");
     } finally {
@@ -177,18 +210,26 @@ export default function App() {
     }
   }, [loading, handleConnectionFailure]);
 
-  const handleJoinRoom = useCallback(async (id) => {
+  // invite: from an invite link — the server checks it and joins its room
+  // passcode: for a protected room, typed into the join modal
+  const handleJoinRoom = useCallback(async (id, { invite, passcode } = {}) => {
     const trimmed = id?.trim();
     if (!trimmed || loading) return;
     setLoading(true);
     setError(null);
+    setJoinError(null);
     try {
       if (!socketService.connected) socketService.connect();
-      await socketService.joinRoom(trimmed);
-      setRoomId(trimmed);
+      const res = await socketService.joinRoom(trimmed, { invite, passcode });
+      setRoomId(res.roomId);
       setShowJoinModal(false);
     } catch (err) {
-      handleConnectionFailure(err?.message || "Failed to join room.");
+      if (!err?.code) return handleConnectionFailure(err?.message || "Failed to join room.");
+      // The room said no (passcode, lock, full…) — the modal shows why and takes another try
+      socketService.disconnect();
+      setJoinCode(trimmed);
+      setJoinError({ code: err.code, message: err.message });
+      setShowJoinModal(true);
     } finally {
       setLoading(false);
     }
@@ -201,19 +242,51 @@ export default function App() {
     setError(null);
   }, []);
 
+  // ── Invite: join once logged in — unless we're already in a room ──────────
+  useEffect(() => {
+    if (!invite || loading) return;
+    if (roomId) { setInvite(null); return; }
+    if (!spotifyToken) return;
+    setInvite(null);
+    handleJoinRoom(invite.room, { invite: invite.token });
+  }, [invite, spotifyToken, roomId, loading, handleJoinRoom]);
+
+  // Logging in from an invite brings the user back to that room
+  const handleLogin = useCallback(() => loginWithSpotify(invite), [invite]);
+
   const handleLogout = useCallback(() => {
-    clearTokens();
-    setSpotifyToken(null);
     if (refreshTimerRef.current) clearTimeout(refreshTimerRef.current);
+    // The socket was authenticated as this user — give up the room slot and close it
+    if (roomIdRef.current) socketService.leaveRoom(roomIdRef.current);
+    socketService.disconnect();
+    setRoomId(null);
+    setSpotifyToken(null);
+    // Ends the server session — the refresh token is forgotten there
+    fetch(`${BACKEND_URL}/logout`, { method: "POST", credentials: "include" }).catch(() => {});
   }, []);
 
   // ── Render ────────────────────────────────────────────────────────────────
 
   return (
     <div className="app">
-      <Navbar spotifyToken={spotifyToken} onLogout={handleLogout} />
+      <Navbar spotifyToken={spotifyToken} onLogin={handleLogin} onLogout={handleLogout} />
+
+      {invite && sessionChecked && !spotifyToken && !roomId && !error && (
+        <div className="error-banner error-banner--invite">
+          <span>You're invited to room {invite.room} — log in with Spotify to join.</span>
+          <button className="error-banner__action" onClick={handleLogin}>Log in</button>
+          <button onClick={() => setInvite(null)}>✕</button>
+        </div>
+      )}
+
+      {outdated && (
+        <div className="error-banner error-banner--update">
+          <span>{outdated}</span>
+          <button className="error-banner__action" onClick={() => window.location.reload()}>Refresh</button>
+        </div>
+      )}
 
-      {error && (
+      {error && !outdated && (
         <div className="error-banner">
           <span>{error}</span>
           <button onClick={() => setError(null)}>✕</button>
@@ -244,9 +317,11 @@ export default function App() {
 
       <JoinRoomModal
         isOpen={showJoinModal}
-        onClose={() => setShowJoinModal(false)}
-        onJoin={handleJoinRoom}
+        onClose={() => { setShowJoinModal(false); setJoinError(null); setJoinCode(""); }}
+        onJoin={(code, passcode) => handleJoinRoom(code, { passcode })}
         loading={loading}
+        joinError={joinError}
+        initialCode={joinCode}
       />
     </div>
   );
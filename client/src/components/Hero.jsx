@@ -9,12 +9,24 @@
  * - All existing props and logic preserved
  */
 
+import { useState } from 'react';
 import './Hero.css';
 
+// The server's bounds for a room passcode (see create-room)
+const PASSCODE_MIN_LENGTH = 4;
+const PASSCODE_MAX_LENGTH = 64;
+
 // Deterministic bar heights for the decorative waveform
 const WAVE_BARS = [18, 28, 22, 36, 24, 40, 30, 20, 38, 26, 34, 18, 42, 28, 22, 36, 24, 38, 20, 32];
 
+// onCreateRoom(passcode?) — passcode is set when the user chose to protect the room
 export default function Hero({ onCreateRoom, onJoinRoom, loading = false, spotifyToken }) {
+  const [showPasscode, setShowPasscode] = useState(false);
+  const [passcode, setPasscode]         = useState('');
+
+  const trimmed     = showPasscode ? passcode.trim() : '';
+  const passcodeBad = trimmed.length > 0 && trimmed.length < PASSCODE_MIN_LENGTH;
+
   return (
     <section className="hero-root" aria-labelledby="hero-heading">
 
@@ -44,8 +56,8 @@ export default function Hero({ onCreateRoom, onJoinRoom, loading = false, spotif
         <div className="hero__actions animate-fade-up delay-4" role="group" aria-label="Room actions">
           <button
             className="btn-primary hero__btn-create shimmer"
-            onClick={onCreateRoom}
-            disabled={loading}
+            onClick={() => onCreateRoom(trimmed || undefined)}
+            disabled={loading || passcodeBad}
             aria-label={loading ? "Creating room…" : "Create a new room"}
             aria-busy={loading}
           >
@@ -74,6 +86,44 @@ export default function Hero({ onCreateRoom, onJoinRoom, loading = false, spotif
           </button>
         </div>
 
+        {/* Optional passcode for the room about to be created */}
+        <div className="hero__passcode animate-fade-up delay-4">
+          {showPasscode ? (
+            <>
+              <input
+                className="hero__passcode-input"
+                type="text"
+                placeholder="Room passcode"
+                value={passcode}
+                onChange={(e) => setPasscode(e.target.value)}
+                maxLength={PASSCODE_MAX_LENGTH}
+                autoComplete="off"
+                spellCheck="false"
+                disabled={loading}
+                aria-label="Passcode for the new room"
+                aria-invalid={passcodeBad}
+                autoFocus
+              />
+              <button
+                className="hero__passcode-toggle"
+                onClick={() => { setShowPasscode(false); setPasscode(''); }}
+                disabled={loading}
+              >
+                No passcode
+              </button>
+              <p className="hero__passcode-hint">
+                {passcodeBad
+                  ? `At least ${PASSCODE_MIN_LENGTH} characters.`
+                  : "Partners joining with the code will need this too — invite links skip it."}
+              </p>
+            </>
+          ) : (
+            <button className="hero__passcode-toggle" onClick={() => setShowPasscode(true)} disabled={loading}>
+              🔒 Protect the room with a passcode
+            </button>
+          )}
+        </div>
+
         {/* Stats */}
         <dl className="hero__stats animate-fade-up delay-5" aria-label="App statistics">
           <div className="hero__stat">
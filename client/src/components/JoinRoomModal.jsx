@@ -14,24 +14,50 @@
  *    always mounted with isOpen controlling visibility (not conditional render).
  *    App.jsx has been fixed to match: it now passes isOpen={showJoinModal}
  *    instead of conditionally rendering without passing isOpen at all.
+ * 5. Passcode-protected rooms — the server's refusal (`joinError`) decides
+ *    what to show: a passcode field, or the reason under the room code.
+ *    `initialCode` pre-fills the code, e.g. from an invite link that needs one.
  */
 
 import { useState, useEffect, useRef } from 'react';
 import './JoinRoomModal.css';
 
-export default function JoinRoomModal({ isOpen, onClose, onJoin, loading = false }) {
-  const [roomCode, setRoomCode] = useState('');
-  const [error,    setError]    = useState('');
-  const inputRef                = useRef(null);
+// Refusals that the passcode field answers (see join-room on the server)
+const PASSCODE_ERRORS = new Set(['passcode_required', 'wrong_passcode']);
+
+// onJoin(roomCode, passcode?) · joinError: { code, message } from the last attempt, or null
+export default function JoinRoomModal({ isOpen, onClose, onJoin, loading = false, joinError = null, initialCode = '' }) {
+  const [roomCode, setRoomCode]           = useState('');
+  const [error,    setError]              = useState('');
+  const [passcode, setPasscode]           = useState('');
+  const [passcodeError, setPasscodeError] = useState('');
+  const [needsPasscode, setNeedsPasscode] = useState(false);
+  const inputRef                          = useRef(null);
+  const passcodeRef                       = useRef(null);
 
   // Focus input and reset state when modal opens
   useEffect(() => {
     if (!isOpen) return;
-    setRoomCode('');
+    setRoomCode(initialCode);
     setError('');
+    setPasscode('');
+    setPasscodeError('');
+    setNeedsPasscode(false);
     const t = setTimeout(() => inputRef.current?.focus(), 80);
     return () => clearTimeout(t);
-  }, [isOpen]);
+  }, [isOpen, initialCode]);
+
+  // The server said no — put its reason next to the field that can fix it
+  useEffect(() => {
+    if (!isOpen || !joinError) return;
+    if (PASSCODE_ERRORS.has(joinError.code)) {
+      setNeedsPasscode(true);
+      setPasscodeError(joinError.code === 'wrong_passcode' ? joinError.message : '');
+      setTimeout(() => passcodeRef.current?.focus(), 0);
+    } else {
+      setError(joinError.message);
+    }
+  }, [isOpen, joinError]);
 
   // Close on Escape — guard loading so Escape can't abort a pending join
   useEffect(() => {
@@ -59,7 +85,13 @@ export default function JoinRoomModal({ isOpen, onClose, onJoin, loading = false
 
   const handleChange = (e) => {
     setError('');
-    setRoomCode(e.target.value.toUpperCase().replace(/[^A-Z0-9]/g, ''));
+    // Codes are letters and digits, or words joined by hyphens (MELLOW-OTTER-42)
+    setRoomCode(e.target.value.toUpperCase().replace(/[^A-Z0-9-]/g, ''));
+  };
+
+  const handlePasscodeChange = (e) => {
+    setPasscodeError('');
+    setPasscode(e.target.value);
   };
 
   const handleSubmit = (e) => {
@@ -76,7 +108,12 @@ export default function JoinRoomModal({ isOpen, onClose, onJoin, loading = false
       inputRef.current?.focus();
       return;
     }
-    onJoin(trimmed);
+    if (needsPasscode && !passcode.trim()) {
+      setPasscodeError('Please enter the passcode.');
+      passcodeRef.current?.focus();
+      return;
+    }
+    onJoin(trimmed, needsPasscode ? passcode.trim() : undefined);
   };
 
   return (
@@ -108,7 +145,11 @@ export default function JoinRoomModal({ isOpen, onClose, onJoin, loading = false
 
           <div>
             <h2 className="modal-card__title" id="modal-title">Join a Room</h2>
-            <p className="modal-card__subtitle">Enter the code your partner shared with you.</p>
+            <p className="modal-card__subtitle">
+              {needsPasscode
+                ? 'This room is protected — enter the passcode your partner set.'
+                : 'Enter the code your partner shared with you.'}
+            </p>
           </div>
 
           <button
@@ -137,7 +178,7 @@ export default function JoinRoomModal({ isOpen, onClose, onJoin, loading = false
               placeholder="e.g. AB12CD"
               value={roomCode}
               onChange={handleChange}
-              maxLength={8}
+              maxLength={32}
               autoComplete="off"
               spellCheck="false"
               disabled={loading}
@@ -156,6 +197,37 @@ export default function JoinRoomModal({ isOpen, onClose, onJoin, loading = false
             )}
           </div>
 
+          {needsPasscode && (
+            <div className="modal-card__field">
+              <label htmlFor="room-passcode-input" className="modal-card__label">
+                Passcode
+              </label>
+              <input
+                ref={passcodeRef}
+                id="room-passcode-input"
+                type="password"
+                className={`modal-card__input modal-card__input--passcode${passcodeError ? ' modal-card__input--error' : ''}`}
+                value={passcode}
+                onChange={handlePasscodeChange}
+                maxLength={64}
+                autoComplete="off"
+                disabled={loading}
+                aria-describedby={passcodeError ? 'room-passcode-error' : undefined}
+                aria-invalid={!!passcodeError}
+              />
+              {passcodeError && (
+                <p
+                  id="room-passcode-error"
+                  className="modal-card__error"
+                  role="alert"
+                  aria-live="polite"
+                >
+                  {passcodeError}
+                </p>
+              )}
+            </div>
+          )}
+
           <div className="modal-card__actions">
             <button
               type="submit"
@@ -1,9 +1,7 @@
 import { useState, useEffect } from "react";
 import "./Navbar.css";
 
-const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || "http://127.0.0.1:5000";
-
-export default function Navbar({ spotifyToken, onLogout }) {
+export default function Navbar({ spotifyToken, onLogin, onLogout }) {
   const [scrolled, setScrolled] = useState(false);
 
   useEffect(() => {
@@ -30,7 +28,7 @@ export default function Navbar({ spotifyToken, onLogout }) {
             <span className="navbar__connected-dot" />
           </button>
         ) : (
-          <button onClick={() => { window.location.href = `${BACKEND_URL}/login`; }} className="btn-primary navbar__btn-signup">
+          <button onClick={onLogin} className="btn-primary navbar__btn-signup">
             Login with Spotify
           </button>
         )}
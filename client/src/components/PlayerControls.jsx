@@ -1,3 +1,4 @@
+import { useClockSync } from "../hooks/useClockSync";
 import "./PlayerControls.css";
 
 const BAR_COUNT = 32;
@@ -39,6 +40,7 @@ function Waveform({ isPlaying }) {
 }
 
 // ─── Latency Badge ──────────────────────────────────────────────────────────
+// ms is the round trip measured by the socket clock sync
 
 function LatencyBadge({ ms }) {
   if (ms === null || ms === undefined) return null;
@@ -68,6 +70,8 @@ export default function PlayerControls({
   onPlay,
   onPause,
 }) {
+  const { rtt } = useClockSync();
+
   return (
     <div
       className={`space-y-6 animate-fade-up transition-opacity duration-300 ${
@@ -89,7 +93,7 @@ export default function PlayerControls({
           {isPlaying ? "● Playing" : "○ Paused"}
         </span>
 
-        <LatencyBadge ms={latency} />
+        <LatencyBadge ms={latency ?? rtt} />
       </div>
 
       {/* Buttons */}
@@ -3,14 +3,16 @@
  * Desktop: 3-col (Queue | Player | Search)
  * Mobile:  tab-switched full-screen panels
  */
-import { useState, useEffect, useCallback, useRef } from "react";
-import socketService from "../socket";
-import { useSpotify, fmtMs } from "../hooks/useSpotify";
-import {
-  useSpotifyPlayer, spotifyPlay, spotifyPause,
-  spotifySkipNext, spotifySkipPrev, spotifyGetQueue,
-  spotifySearch, spotifyAddToQueue, spotifySeek,
-} from "../hooks/useSpotifyPlayer";
+import { useState, useEffect, useCallback, useRef, useMemo } from "react";
+import QRCode from "qrcode";
+import socketService, { SERVER_EVENTS } from "../socket";
+import { useSpotifyProfile, fmtMs, roomInviteUrl } from "../hooks/useSpotify";
+import { usePlaybackState } from "../hooks/usePlaybackState";
+import { useClockSync } from "../hooks/useClockSync";
+import { useDriftCorrection } from "../hooks/useDriftCorrection";
+import { usePlayback, describePlaybackError } from "../hooks/usePlayback";
+import { spotifySearch } from "../hooks/useSpotifyPlayer";
+import spotifyApi, { describeSpotifyError } from "../spotifyApi";
 import "./Room.css";
 
 const REACTIONS = ["❤️", "🔥", "🌙", "✨", "🎵"];
@@ -18,38 +20,73 @@ const BARS = Array.from({ length: 28 }, (_, i) =>
   10 + Math.round(Math.abs(Math.sin(i * 0.7)) * 16 + Math.cos(i * 0.45) * 6)
 );
 
+// ms — worst drift in the room, falling back to network RTT before the first heartbeat
 function syncLabel(ms) {
-  if (ms === null) return null;
+  if (ms === null || ms === undefined) return null;
+  ms = Math.abs(ms);
   if (ms < 60) return { text: "Perfect Sync ✦", cls: "s--perfect" };
   if (ms < 150) return { text: "In Sync ✓", cls: "s--good" };
   if (ms < 350) return { text: "Adjusting…", cls: "s--ok" };
   return { text: "Syncing…", cls: "s--slow" };
 }
 
-async function shareRoom(roomId) {
-  const url = `${window.location.origin}/room/${roomId}`;
+// Members without a profile yet are named by role and slot
+function memberLabel(member, selfId) {
+  if (member.id === selfId) return "You";
+  if (member.displayName) return member.displayName;
+  return member.role === "host" ? "Host" : `Listener ${member.slot + 1}`;
+}
+
+function memberStatus(member) {
+  if (!member.connected) return "Reconnecting…";
+  if (member.product === "premium") return member.deviceReady ? "Player ready" : "Loading player…";
+  return member.product ? "Spotify Free · follows along" : "Connected";
+}
+
+function followNote({ hasPreview, previewing }, hasTrack) {
+  if (!hasTrack) return "Spotify Free — you'll follow along with whatever the room plays.";
+  if (previewing) return "Playing the 30-second preview in sync.";
+  if (hasPreview) return "Preview's over — open Spotify to keep listening along.";
+  return "No preview for this track — open it in Spotify to listen along.";
+}
+
+const CONTROL_MODE_LABELS = { everyone: "Everyone", host: "Host only", vote: "Vote" };
+const VOTE_VERBS = { play: "play", pause: "pause", seek: "jump to a new spot", track: "play", next: "skip to" };
+
+// url: the room's signed invite link, once the server has issued one
+async function shareRoom(roomId, url = roomInviteUrl(roomId)) {
   if (navigator.share) { try { await navigator.share({ title: "Listen with me on Duo-fy 💕", url }); return; } catch { } }
   await navigator.clipboard?.writeText(url).catch(() => { });
 }
 
+// Dark on white scans most reliably, whatever the card behind it
+const QR_OPTIONS = { width: 176, margin: 1, color: { dark: "#1a0826", light: "#ffffff" } };
+
 /* ── Search panel ─────────────────────────────────────────── */
-function SearchPanel({ accessToken, deviceId, onTrackPlay }) {
+// A link pasted into search plays through <audio> instead of searching Spotify —
+// https only (see handleAudioUrl), but an http one is still told why it won't play
+const isLink = q => /^https?:\/\/\S+$/.test(q);
+
+function SearchPanel({ accessToken, onTrackPlay, onTrackQueue, onAudioFile, onAudioUrl }) {
   const [q, setQ] = useState("");
   const [results, setResults] = useState([]);
   const [status, setStatus] = useState("idle");
+  const [errorText, setErrorText] = useState("");
   const [queued, setQueued] = useState({});
   const debRef = useRef(null);
   const inputRef = useRef(null);
+  const fileRef = useRef(null);
 
   useEffect(() => { setTimeout(() => inputRef.current?.focus(), 80); }, []);
 
   useEffect(() => {
     clearTimeout(debRef.current);
     if (!q.trim()) { setResults([]); setStatus("idle"); return; }
+    if (isLink(q.trim())) { setResults([]); setStatus("link"); return; }
     setStatus("loading");
     debRef.current = setTimeout(async () => {
       try { const t = await spotifySearch(accessToken, q.trim(), 12); setResults(t); setStatus("done"); }
-      catch { setStatus("error"); }
+      catch (err) { setErrorText(describeSpotifyError(err)); setStatus("error"); }
     }, 300);
     return () => clearTimeout(debRef.current);
   }, [q, accessToken]);
@@ -66,10 +103,18 @@ function SearchPanel({ accessToken, deviceId, onTrackPlay }) {
           {status === "loading" && <div className="sp-spin" />}
           {q && status !== "loading" && <button className="sp-clear" onClick={() => { setQ(""); inputRef.current?.focus(); }}>✕</button>}
         </div>
+        {onAudioFile && <>
+          <button className="sp-file" title="Play an audio file from this device" onClick={() => fileRef.current?.click()}>📁</button>
+          <input ref={fileRef} type="file" accept="audio/*" hidden onChange={e => {
+            const file = e.target.files?.[0];
+            e.target.value = ""; // picking the same file again still fires
+            if (file) onAudioFile(file);
+          }} />
+        </>}
       </div>
 
       <div className="sp-body">
-        {status === "idle" && <div className="sp-empty"><span>🎵</span><p>Find something beautiful to play together</p></div>}
+        {status === "idle" && <div className="sp-empty"><span>🎵</span><p>Find something beautiful to play together<br />— or paste an audio link, or pick a file with 📁</p></div>}
 
         {status === "loading" && Array.from({ length: 5 }).map((_, i) => (
           <div key={i} className="sp-skeleton" style={{ animationDelay: `${i * .07}s` }}>
@@ -77,7 +122,19 @@ function SearchPanel({ accessToken, deviceId, onTrackPlay }) {
           </div>
         ))}
 
-        {status === "error" && <div className="sp-empty"><span>⚠️</span><p>Oops — Spotify didn't respond. Try again.</p></div>}
+        {status === "link" && (
+          <div className="sp-track sp-track--link">
+            <div className="sp-track__info">
+              <p className="sp-track__name">Play this link</p>
+              <p className="sp-track__meta">{q.trim()}</p>
+            </div>
+            <div className="sp-track__acts">
+              <button className="sp-act sp-act--play" onClick={() => onAudioUrl?.(q.trim())}>▶ Play</button>
+            </div>
+          </div>
+        )}
+
+        {status === "error" && <div className="sp-empty"><span>⚠️</span><p>{errorText}</p></div>}
         {status === "done" && results.length === 0 && <div className="sp-empty"><span>🔍</span><p>No match for "{q}".<br />Try different words.</p></div>}
 
         {status === "done" && results.map((t, i) => (
@@ -90,11 +147,11 @@ function SearchPanel({ accessToken, deviceId, onTrackPlay }) {
             <span className="sp-track__dur">{fmt(t.duration_ms)}</span>
             <div className="sp-track__acts">
               <button className={`sp-act sp-act--q ${queued[t.id] ? "sp-act--queued" : ""}`} onClick={async () => {
-                await spotifyAddToQueue(accessToken, t.uri).catch(() => { });
+                if (!(await onTrackQueue?.(t))) return;
                 setQueued(p => ({ ...p, [t.id]: true }));
                 setTimeout(() => setQueued(p => { const n = { ...p }; delete n[t.id]; return n; }), 2000);
               }}>{queued[t.id] ? "✓" : "+"}</button>
-              <button className="sp-act sp-act--play" onClick={() => { spotifyPlay(accessToken, deviceId, { uris: [t.uri] }).catch(() => { }); onTrackPlay?.(t); }}>▶ Play</button>
+              <button className="sp-act sp-act--play" onClick={() => onTrackPlay?.(t)}>▶ Play</button>
             </div>
           </div>
         ))}
@@ -104,59 +161,43 @@ function SearchPanel({ accessToken, deviceId, onTrackPlay }) {
 }
 
 /* ── Queue panel ───────────────────────────────────────────── */
-function QueuePanel({ accessToken, currentTrack, deviceId, partnerName, partnerAvatar, partnerOnline }) {
-  const [queue, setQueue] = useState([]);
-  const [loading, setLoading] = useState(false);
-  const partInit = (partnerName?.[0] ?? "P").toUpperCase();
-
-  useEffect(() => {
-    if (!accessToken) return;
-    setLoading(true);
-    spotifyGetQueue(accessToken)
-      .then(data => {
-        const items = (data?.queue ?? []);
-        const deduped = items.filter((t, i) => i === 0 || t.id !== items[i - 1]?.id);
-        setQueue(deduped.slice(0, 15));
-      })
-      .catch(() => setQueue([]))
-      .finally(() => setLoading(false));
-  }, [accessToken, currentTrack?.id]);
+// The room's shared queue — the same list for everyone, kept by the server
+function QueuePanel({ queue, members, selfId, canEdit, canReorder, onRemove, onMove, roster }) {
+  const addedBy = id => {
+    const m = members.find(m => m.id === id);
+    return m ? memberLabel(m, selfId) : "someone who left";
+  };
 
   return (
     <div className="queue-panel">
-      {/* Partner */}
-      <div className="qp-partner">
-        <div className={`qp-avatar ${partnerOnline ? "qp-avatar--on" : ""}`}>
-          {partnerAvatar ? <img src={partnerAvatar} alt={partnerName} /> : <span>{partInit}</span>}
-          {partnerOnline && <span className="qp-avatar__dot" />}
-        </div>
-        <div className="qp-partner__text">
-          <p className="qp-partner__name">{partnerName ?? "Waiting for partner…"}</p>
-          <p className="qp-partner__status">{partnerOnline ? "Connected" : "Share your code to invite"}</p>
-        </div>
-      </div>
+      {roster}
 
       <div className="qp-head">
         <span>Up Next</span>
-        {queue.length > 0 && <span className="qp-count">{queue.length} tracks</span>}
+        {queue?.length > 0 && <span className="qp-count">{queue.length} tracks</span>}
       </div>
 
       <div className="qp-list">
-        {loading && Array.from({ length: 4 }).map((_, i) => (
+        {!queue && Array.from({ length: 4 }).map((_, i) => (
           <div key={i} className="qp-skeleton">
             <div className="qps-art" /><div className="qps-lines"><div className="qps-l qps-l--a" /><div className="qps-l qps-l--b" /></div>
           </div>
         ))}
-        {!loading && queue.length === 0 && <div className="qp-empty"><p>Queue is empty</p><p>Search for songs to add</p></div>}
-        {!loading && queue.map((t, i) => (
-          <div key={`${t.id}-${i}`} className="qp-track">
+        {queue?.length === 0 && <div className="qp-empty"><p>Queue is empty</p><p>Search for songs to add</p></div>}
+        {queue?.map((t, i) => (
+          <div key={t.id} className="qp-track">
             <span className="qp-num">{i + 1}</span>
-            <img src={t.album?.images?.[2]?.url || t.album?.images?.[0]?.url || ""} alt="" className="qp-art" loading="lazy" />
+            <img src={t.albumArt || ""} alt="" className="qp-art" loading="lazy" />
             <div className="qp-info">
               <p className="qp-name">{t.name}</p>
-              <p className="qp-artist">{t.artists?.map(a => a.name).join(", ")}</p>
+              <p className="qp-artist">{t.artists ? `${t.artists} · ` : ""}<span className="qp-by">added by {addedBy(t.addedBy)}</span></p>
             </div>
-            <button className="qp-play" onClick={() => spotifyPlay(accessToken, deviceId, { uris: [t.uri] }).catch(() => { })}>▶</button>
+            {canReorder && i > 0 && (
+              <button className="qp-play" onClick={() => onMove(t.id, i - 1)} aria-label="Move up">↑</button>
+            )}
+            {canEdit(t) && (
+              <button className="qp-play" onClick={() => onRemove(t.id)} aria-label="Remove from queue">✕</button>
+            )}
           </div>
         ))}
       </div>
@@ -164,23 +205,138 @@ function QueuePanel({ accessToken, currentTrack, deviceId, partnerName, partnerA
   );
 }
 
+/* ── Device picker ─────────────────────────────────────────── */
+// Spotify Connect devices on this account — room playback follows the one picked here
+const DEVICE_ICONS = { Computer: "💻", Smartphone: "📱", Speaker: "🔊", TV: "📺", CastAudio: "🔊", CastVideo: "📺" };
+
+function DevicePicker({ devices, browserDeviceId, onSelect, onClose }) {
+  const { refresh } = devices;
+  useEffect(() => { refresh(); }, [refresh]);
+
+  return (
+    <div className="device-picker" role="dialog" aria-label="Choose a device">
+      <div className="qp-head">
+        <span>Play on</span>
+        <button className="dp-refresh" onClick={refresh} disabled={devices.loading}>{devices.loading ? "…" : "↻"}</button>
+        <button className="dp-refresh" onClick={onClose} aria-label="Close">✕</button>
+      </div>
+
+      {devices.devices.map(d => (
+        <button key={d.id} className={`dp-row ${d.id === devices.targetId ? "dp-row--on" : ""}`}
+          disabled={d.is_restricted} onClick={() => onSelect(d.id)}>
+          <span className="dp-icon">{DEVICE_ICONS[d.type] ?? "🎧"}</span>
+          <span className="dp-name">{d.id === browserDeviceId ? "This browser" : d.name}</span>
+          {d.id === devices.targetId && <span className="dp-check">✓</span>}
+        </button>
+      ))}
+      {!devices.loading && devices.devices.length === 0 && (
+        <p className="roster-note">No devices found — open Spotify on your phone or computer, then refresh.</p>
+      )}
+      {devices.error && <p className="dp-error">{devices.error}</p>}
+    </div>
+  );
+}
+
+/* ── Roster ────────────────────────────────────────────────── */
+function Roster({ roomInfo, selfId, onMakeHost, onSettings }) {
+  const members = roomInfo?.members ?? [];
+  const settings = roomInfo?.settings;
+  const isHost = !!selfId && roomInfo?.hostId === selfId;
+  const capacities = Array.from({ length: Math.max((roomInfo?.maxCapacity ?? 2) - 1, 1) }, (_, i) => i + 2);
+
+  return (
+    <div className="roster">
+      <div className="qp-head">
+        <span>Listeners</span>
+        {settings && <span className="qp-count">{members.length}/{settings.capacity}</span>}
+      </div>
+
+      {members.map(m => {
+        const label = memberLabel(m, selfId);
+        return (
+          <div key={m.id} className="roster-row">
+            <div className={`qp-avatar roster-avatar ${m.connected ? "qp-avatar--on" : ""}`}>
+              {m.avatarUrl ? <img src={m.avatarUrl} alt="" /> : <span>{label[0].toUpperCase()}</span>}
+              {m.connected && <span className="qp-avatar__dot" />}
+            </div>
+            <div className="qp-partner__text">
+              <p className="qp-partner__name">
+                {label}{m.role === "host" && label !== "Host" && <span className="roster-host"> ★ Host</span>}
+              </p>
+              <p className="qp-partner__status">{memberStatus(m)}</p>
+            </div>
+            {isHost && m.id !== selfId && (
+              <button className="roster-btn" onClick={() => onMakeHost(m.id)}>Make host</button>
+            )}
+          </div>
+        );
+      })}
+      {members.length <= 1 && (
+        <p className="roster-note">
+          {settings?.locked ? "Room is locked — nobody new can join" : "Share your code to invite"}
+        </p>
+      )}
+
+      {settings && (isHost ? (
+        <div className="roster-settings">
+          <label className="roster-field">
+            <span>Who controls playback</span>
+            <select value={settings.controlMode} onChange={e => onSettings({ controlMode: e.target.value })}>
+              {Object.entries(CONTROL_MODE_LABELS).map(([mode, text]) => <option key={mode} value={mode}>{text}</option>)}
+            </select>
+          </label>
+          <label className="roster-field">
+            <span>Room size</span>
+            <select value={settings.capacity} onChange={e => onSettings({ capacity: Number(e.target.value) })}>
+              {capacities.map(n => <option key={n} value={n} disabled={n < members.length}>{n}</option>)}
+            </select>
+          </label>
+          <label className="roster-field">
+            <span>Lock room — no new listeners</span>
+            <input type="checkbox" checked={!!settings.locked} onChange={e => onSettings({ locked: e.target.checked })} />
+          </label>
+        </div>
+      ) : (
+        <p className="roster-note">
+          Playback control: {CONTROL_MODE_LABELS[settings.controlMode]}{settings.locked && " · 🔒 Locked"}
+        </p>
+      ))}
+    </div>
+  );
+}
+
 /* ════════════════════════════════════════════
    MAIN ROOM
 ════════════════════════════════════════════ */
 export default function Room({ roomId, onLeaveRoom, spotifyToken }) {
-  const { track, progressMs, durationMs, profile } = useSpotify(spotifyToken);
-  const { deviceId, playerReady, playerError, volume, setVolume } = useSpotifyPlayer(spotifyToken);
+  const profile = useSpotifyProfile(spotifyToken);
+  // Spotify or <audio>, picked per track — see usePlayback
+  const playback = usePlayback(spotifyToken);
+  const {
+    play, load, pause, resume, seek, getPosition, providerFor,
+    volume, setVolume, onStateChange,
+  } = playback;
+  // targetId — the Spotify Connect device room playback is sent to (this tab's player by default)
+  const { targetId, devices, ready: playerReady, error: playerError } = playback.spotify;
+  // Every member reports track ends; the server acts on the first
+  const reportTrackEnd = useCallback(uri => socketService.reportTrackEnd(roomId, uri), [roomId]);
+  const { track, progressMs, durationMs } = usePlaybackState({
+    accessToken: spotifyToken, player: { onStateChange }, onTrackEnd: reportTrackEnd,
+    onTokenExpired: spotifyApi.refreshToken,
+  });
+  const { rtt: latency } = useClockSync();
 
   const [syncPlaying, setSyncPlaying] = useState(false);
   const [connStatus, setConnStatus] = useState("connecting");
-  const [latency, setLatency] = useState(null);
-  const [partnerOnline, setPartnerOnline] = useState(false);
-  const [partnerName, setPartnerName] = useState(null);
-  const [partnerAvatar, setPartnerAvatar] = useState(null);
+  const [roomInfo, setRoomInfo] = useState(null);
+  const [selfId, setSelfId] = useState(null);
+  const [votedIds, setVotedIds] = useState(new Set());
+  const [queue, setQueue] = useState(null);
   const [partnerPlaying, setPartnerPlaying] = useState(false);
   const [mobileTab, setMobileTab] = useState("player");
   const [showCodeCard, setShowCodeCard] = useState(true);
   const [codeCopied, setCodeCopied] = useState(false);
+  const [invite, setInvite] = useState(null); // { url, expiresAt, qr } — the code card's invite link
   const [showSummary, setShowSummary] = useState(false);
   const [toast, setToast] = useState(null);
   const [reactions, setReactions] = useState([]);
@@ -195,6 +351,53 @@ export default function Room({ roomId, onLeaveRoom, spotifyToken }) {
   const listenRef = useRef(null);
   const lastPlayRef = useRef(null);
   const prevTrkRef = useRef(null);
+  const appliedRef = useRef({ version: -1, deviceId: null });
+  const [showDevices, setShowDevices] = useState(false);
+  const roomStateRef = useRef(null);
+  // Links (https:// tracks) load only once we've chosen them: fetching one shows
+  // our IP to whoever runs that site. pendingLink — the room's link awaiting a click
+  const trustedLinksRef = useRef(new Set());
+  const [pendingLink, setPendingLink] = useState(null);
+
+  /* Roster — the server's member list; selfId tells us which entry is ours */
+  const others = (roomInfo?.members ?? []).filter(m => m.id !== selfId);
+  const partnerOnline = others.some(m => m.connected);
+  const partnerReconnecting = others.length > 0 && !partnerOnline;
+  const isHost = !!selfId && roomInfo?.hostId === selfId;
+  const controlMode = roomInfo?.settings?.controlMode ?? "everyone";
+  const canControl = controlMode === "everyone" || isHost; // act locally, then tell the room
+  const mustVote = controlMode === "vote" && !isHost;      // propose; the server plays it if it passes
+  const mayControl = canControl || mustVote;
+  const vote = roomInfo?.vote ?? null;
+
+  // The two-person UI (micro badge, progress pin) follows the first other member
+  const partner = others.find(m => m.connected) ?? others[0] ?? null;
+  const partnerName = partner?.displayName ?? "Partner";
+  const partnerAvatar = partner?.avatarUrl ?? null;
+
+  // Socket handlers name members by id without re-subscribing on every roster change
+  const membersRef = useRef([]);
+  useEffect(() => { membersRef.current = roomInfo?.members ?? []; }, [roomInfo?.members]);
+  const nameOf = useCallback(memberId =>
+    membersRef.current.find(m => m.id === memberId)?.displayName ?? "Partner", []);
+
+  /* Tell the room once our web player can take commands */
+  useEffect(() => { socketService.setProfile({ deviceReady: playerReady }); }, [playerReady]);
+
+  useEffect(() => { if (others.length === 0) setShowCodeCard(true); }, [others.length]);
+
+  /* A fresh signed invite (and its QR code) whenever the code card shows without one */
+  useEffect(() => {
+    if (!showCodeCard || connStatus !== "connected" || invite?.expiresAt > Date.now()) return;
+    let cancelled = false;
+    socketService.createInvite(roomId)
+      .then(async ({ url, expiresAt }) => {
+        const qr = await QRCode.toDataURL(url, QR_OPTIONS);
+        if (!cancelled) setInvite({ url, expiresAt, qr });
+      })
+      .catch(() => { }); // the plain room link still works
+    return () => { cancelled = true; };
+  }, [showCodeCard, connStatus, invite, roomId]);
 
   useEffect(() => {
     if (track?.id && track.id !== prevTrkRef.current) {
@@ -217,6 +420,9 @@ export default function Room({ roomId, onLeaveRoom, spotifyToken }) {
     toastRef.current = setTimeout(() => setToast(null), 3200);
   }, []);
 
+  // Playback calls reject with typed errors — say what the user can do about it
+  const playbackFailed = useCallback(err => showToast(describePlaybackError(err), "leave"), [showToast]);
+
   const celebrate = useCallback(() => {
     setCelebrating(true);
     clearTimeout(celebRef.current);
@@ -235,104 +441,279 @@ export default function Room({ roomId, onLeaveRoom, spotifyToken }) {
     setTimeout(() => setCodeCopied(false), 2000);
   };
 
+  /* Authoritative playback state — apply each server version once per device */
+  const applyPlayback = useCallback(async (state, { fromSelf = false, force = false } = {}) => {
+    if (!state) return false;
+    const seen = appliedRef.current;
+    const stale = state.version < seen.version || (state.version === seen.version && seen.deviceId === targetId);
+    if (stale && !force) return false;
+    appliedRef.current = { version: state.version, deviceId: targetId };
+    roomStateRef.current = state;
+    setSyncPlaying(state.isPlaying);
+    setPendingLink(p => (p === state.trackUri ? p : null));
+    // Version 0 means nothing has been played in the room yet
+    if (fromSelf || state.version === 0) return true;
+    // Spotify tracks need our Premium web player; files always play, links once we say so
+    if (!providerFor(state.trackUri).ready) return true;
+    if (isLink(state.trackUri) && !trustedLinksRef.current.has(state.trackUri)) {
+      setPendingLink(state.trackUri);
+      await Promise.resolve(pause()).catch(() => { }); // the room has moved on from what we were playing
+      return true;
+    }
+
+    try {
+      if (!state.isPlaying) {
+        // Park on the same position so resuming starts both sides together
+        await pause();
+        await seek(state.positionMs);
+        return true;
+      }
+
+      // Scheduled start: load and park on the start position now, then start on the
+      // instant with the local player — no network round trip left at start time
+      if (state.updatedAt > socketService.serverNow()) {
+        await load(state.trackUri, state.positionMs);
+        const waitMs = state.updatedAt - socketService.serverNow();
+        if (waitMs > 0) await new Promise(r => setTimeout(r, waitMs));
+        // Something newer arrived while we waited — it takes over
+        if (appliedRef.current.version !== state.version) return false;
+        await resume();
+        return true;
+      }
+
+      // Late or unscheduled — join at the position the room has reached.
+      // updatedAt is server time — compare against the synced server clock
+      await play(state.trackUri, Math.max(0, state.positionMs + (socketService.serverNow() - state.updatedAt)));
+    } catch (err) {
+      playbackFailed(err);
+    }
+    return true;
+  }, [targetId, providerFor, play, load, pause, resume, seek, playbackFailed]);
+
+  /* Drift heartbeat — only meaningful while our browser player is playing */
+  const driftPlayer = useMemo(
+    () => ({ getPosition, pause, resume, seek }),
+    [getPosition, pause, resume, seek]
+  );
+  const resync = useCallback(state => applyPlayback(state, { force: true }), [applyPlayback]);
+
+  const acceptLink = useCallback(() => {
+    if (!pendingLink) return;
+    trustedLinksRef.current.add(pendingLink);
+    setPendingLink(null);
+    applyPlayback(roomStateRef.current, { force: true });
+  }, [pendingLink, applyPlayback]);
+  const { driftMs, roomDriftMs, corrections } = useDriftCorrection({
+    roomId, enabled: playback.ready && syncPlaying,
+    player: driftPlayer, onResync: resync,
+  });
+
   /* Sockets */
   useEffect(() => {
     if (socketService.connected) setConnStatus("connected");
+    // A change with no sender member passed a vote — the room made it
+    const senderOf = data => data.memberId ? nameOf(data.memberId) : "The room";
     const offs = [
       socketService.on("connect", () => setConnStatus("connected")),
       socketService.on("disconnect", r => { if (r !== "io client disconnect") { setConnStatus("disconnected"); setSyncPlaying(false); } }),
-      socketService.on("reconnect_attempt", () => setConnStatus("reconnecting")),
-      socketService.on("partner-joined", data => {
-        setPartnerOnline(true); setPartnerName(data?.displayName ?? "Partner"); setPartnerAvatar(data?.avatarUrl ?? null);
+      socketService.on("reconnecting", () => setConnStatus("reconnecting")),
+      socketService.on("room-resumed", res => {
+        setConnStatus("connected");
+        setRoomInfo(res?.room ?? null); setSelfId(res?.memberId ?? null); setQueue(res?.queue ?? []);
+        applyPlayback(res?.state, { force: true });
+        showToast("Reconnected", "info");
+      }),
+      socketService.on(SERVER_EVENTS.ROOM_MEMBERS, data => { if (data?.roomId === roomId) setRoomInfo(data); }),
+      socketService.on(SERVER_EVENTS.QUEUE_UPDATED, data => { if (data?.roomId === roomId) setQueue(data.queue); }),
+      socketService.on(SERVER_EVENTS.MEMBER_UPDATED, data => {
+        if (data?.roomId !== roomId || !data.member) return;
+        setRoomInfo(p => p && { ...p, members: p.members.map(m => m.id === data.member.id ? data.member : m) });
+      }),
+      socketService.on(SERVER_EVENTS.VOTE_UPDATED, data => {
+        if (data?.roomId === roomId) setRoomInfo(p => p && { ...p, vote: data.vote });
+      }),
+      socketService.on(SERVER_EVENTS.VOTE_ENDED, data => {
+        if (data?.roomId !== roomId) return;
+        setRoomInfo(p => p && { ...p, vote: null });
+        showToast(data.passed ? "The room agreed ✓" : "Vote didn't pass", data.passed ? "sync" : "leave");
+      }),
+      socketService.on(SERVER_EVENTS.PARTNER_RECONNECTING, data => {
+        setPartnerPlaying(false);
+        showToast(`${nameOf(data?.memberId)} is reconnecting…`, "leave");
+      }),
+      socketService.on(SERVER_EVENTS.PARTNER_RECONNECTED, data => {
+        showToast(`${nameOf(data?.memberId)} is back 💕`, "join");
+      }),
+      socketService.on(SERVER_EVENTS.PARTNER_JOINED, data => {
         setShowCodeCard(false); showToast(`${data?.displayName ?? "Partner"} joined 💕`, "join"); celebrate();
       }),
-      socketService.on("partner-left", () => {
-        setPartnerOnline(false); setPartnerPlaying(false); setShowCodeCard(true); setSyncPlaying(false);
-        showToast(`${partnerName ?? "Partner"} left`, "leave");
+      socketService.on(SERVER_EVENTS.PARTNER_LEFT, data => {
+        setPartnerPlaying(false);
+        showToast(`${nameOf(data?.memberId)} left`, "leave");
       }),
-      socketService.on("sync-play", async data => {
+      // A scheduled change (startAt) is applied by everyone, its sender included
+      socketService.on(SERVER_EVENTS.SYNC_PLAY, async data => {
         if (data?.roomId && data.roomId !== roomId) return;
-
-        // Drift compensation: calculate how long event was in transit
-        // and add that to the sender's position so both users land
-        // on the same millisecond of the track.
         const receivedAt = Date.now();
-        const lag = data?.timestamp ? receivedAt - data.timestamp : 0;
-        if (lag > 0) setLatency(lag);
-
-        // Seek to drift-compensated position before playing
-        const targetMs = Math.max(0, (data?.progressMs ?? 0) + lag);
-
-        setSyncPlaying(true); setPartnerPlaying(true); setSyncCount(n => n + 1);
+        const fromSelf = data?.from === socketService.id;
+        const applied = await applyPlayback(data?.state, { fromSelf: fromSelf && !data.startAt });
+        if (!applied || fromSelf) return;
 
-        if (deviceId) {
-          await spotifySeek(spotifyToken, targetMs).catch(() => { });
-          // Brief settle so Spotify processes seek before play command
-          await new Promise(r => setTimeout(r, 80));
-          await spotifyPlay(spotifyToken, deviceId).catch(() => { });
-        }
+        setPartnerPlaying(true); setSyncCount(n => n + 1);
 
         if (lastPlayRef.current && receivedAt - lastPlayRef.current < 2500) {
           celebrate(); showToast("You’re in sync 💕", "sync");
         } else {
-          showToast(`${partnerName ?? "Partner"} played`, "play");
+          showToast(`${senderOf(data)} played`, "play");
         }
       }),
 
-      socketService.on("sync-pause", async data => {
+      socketService.on(SERVER_EVENTS.SYNC_PAUSE, async data => {
         if (data?.roomId && data.roomId !== roomId) return;
-        setSyncPlaying(false); setPartnerPlaying(false);
-        if (deviceId) await spotifyPause(spotifyToken).catch(() => { });
-        showToast(`${partnerName ?? "Partner"} paused`, "pause");
+        const fromSelf = data?.from === socketService.id;
+        const applied = await applyPlayback(data?.state, { fromSelf });
+        if (!applied || fromSelf) return;
+        setPartnerPlaying(false);
+        if (data.reason === "ended") showToast("That's the end of the queue — pick something next", "info");
+        else showToast(`${senderOf(data)} paused`, "pause");
       }),
 
       // Seek sync — partner dragged the progress bar
-      socketService.on("sync-seek", async data => {
+      socketService.on(SERVER_EVENTS.SYNC_SEEK, async data => {
         if (data?.roomId && data.roomId !== roomId) return;
-        const seekLag = data?.timestamp ? Date.now() - data.timestamp : 0;
-        const targetMs = Math.max(0, (data?.positionMs ?? 0) + seekLag);
-        if (deviceId) await spotifySeek(spotifyToken, targetMs).catch(() => { });
+        await applyPlayback(data?.state, { fromSelf: data?.from === socketService.id && !data.startAt });
       }),
 
-      socketService.on("sync-track", async data => {
+      socketService.on(SERVER_EVENTS.SYNC_TRACK, async data => {
         if (data?.roomId && data.roomId !== roomId) return;
-        if (data?.uri && deviceId) await spotifyPlay(spotifyToken, deviceId, { uris: [data.uri] }).catch(() => { });
-        if (data?.trackName) showToast(`Now: "${data.trackName}"`, "play");
+        const fromSelf = data?.from === socketService.id;
+        const applied = await applyPlayback(data?.state, { fromSelf: fromSelf && !data.startAt });
+        if (applied && !fromSelf && data?.trackName) showToast(`Now: "${data.trackName}"`, "play");
       }),
-      socketService.on("reaction", ({ emoji } = {}) => { if (emoji) addReaction(emoji, true); }),
+      socketService.on(SERVER_EVENTS.REACTION, ({ emoji } = {}) => { if (emoji) addReaction(emoji, true); }),
     ];
-    return () => { offs.forEach(fn => fn()); clearTimeout(toastRef.current); clearTimeout(celebRef.current); clearInterval(listenRef.current); };
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [roomId, partnerName, deviceId, spotifyToken]);
 
-  /* Playback — always include timestamp so partner can compensate for lag */
-  const handlePlay = useCallback(async () => {
-    if (connStatus !== "connected" || syncPlaying) return;
-    lastPlayRef.current = Date.now();
-    if (deviceId) await spotifyPlay(spotifyToken, deviceId).catch(() => { });
-    socketService.emitPlay(roomId, { progressMs, timestamp: Date.now() });
-    setSyncPlaying(true);
-  }, [connStatus, syncPlaying, deviceId, spotifyToken, roomId, progressMs]);
+    // Load the roster and whatever the room is already playing (joining mid-song)
+    socketService.requestState(roomId).then(res => {
+      setRoomInfo(res.room); setSelfId(res.memberId); setQueue(res.queue);
+      applyPlayback(res.state);
+    }).catch(() => { });
 
+    return () => { offs.forEach(fn => fn()); clearTimeout(toastRef.current); clearTimeout(celebRef.current); clearInterval(listenRef.current); };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [roomId, nameOf, targetId, spotifyToken, applyPlayback]);
+
+  /* Controls resolve { pending } when the room votes on them, and reject when not allowed */
+  const sendControl = useCallback(async request => {
+    try {
+      const res = await request;
+      if (res?.pending) showToast("Asked the room — waiting for votes", "info");
+    } catch (err) {
+      showToast(err.message, "leave");
+    }
+  }, [showToast]);
+
+  /* Playback — the server stores position + track as the room state */
+  // Play, seek and track changes come back with a start time — we start with
+  // everyone else then, so nothing is played locally here
+  const handlePlay = useCallback(() => {
+    if (connStatus !== "connected" || syncPlaying || !mayControl) return;
+    // The duration lets the server tell a real track end from an early one
+    const meta = {
+      positionMs: Math.round(progressMs),
+      ...(track?.uri && { trackUri: track.uri }),
+      ...(durationMs > 0 && { durationMs: Math.round(durationMs) }),
+    };
+    if (canControl) lastPlayRef.current = Date.now();
+    sendControl(socketService.emitPlay(roomId, meta));
+  }, [connStatus, syncPlaying, mayControl, canControl, sendControl, roomId, progressMs, durationMs, track?.uri]);
+
+  // Pausing isn't scheduled — stopping a moment early is harmless
   const handlePause = useCallback(async () => {
     if (connStatus !== "connected" || !syncPlaying) return;
-    if (deviceId) await spotifyPause(spotifyToken).catch(() => { });
-    socketService.emitPause(roomId, { progressMs, timestamp: Date.now() });
+    const meta = { positionMs: Math.round(progressMs) };
+    if (!canControl) { if (mustVote) sendControl(socketService.emitPause(roomId, meta)); return; }
+    if (playback.ready) await Promise.resolve(pause()).catch(playbackFailed);
+    sendControl(socketService.emitPause(roomId, meta));
     setSyncPlaying(false);
-  }, [connStatus, syncPlaying, deviceId, spotifyToken, roomId, progressMs]);
+  }, [connStatus, syncPlaying, canControl, mustVote, sendControl, playback.ready, pause, roomId, progressMs, playbackFailed]);
 
-  // Progress bar seek — emits position to partner so they follow along
-  const handleSeek = useCallback(async e => {
-    if (!durationMs) return;
+  // Progress bar seek — the room jumps there together
+  const handleSeek = useCallback(e => {
+    if (!durationMs || !mayControl) return;
     const pct = parseFloat(e.target.value);   // 0–100
-    const positionMs = Math.round((pct / 100) * durationMs);
-    if (deviceId) await spotifySeek(spotifyToken, positionMs).catch(() => { });
-    socketService.socket?.emit?.("sync-seek", { roomId, positionMs, timestamp: Date.now() });
-  }, [deviceId, spotifyToken, roomId, durationMs]);
+    sendControl(socketService.emitSeek(roomId, Math.round((pct / 100) * durationMs)));
+  }, [mayControl, sendControl, roomId, durationMs]);
 
   const handleTrackPlay = useCallback(t => {
-    socketService.socket?.emit?.("sync-track", { roomId, uri: t.uri, trackName: t.name, timestamp: Date.now() });
-    setSyncPlaying(true); showToast(`Playing "${t.name}"`, "play");
+    if (!mayControl) { showToast("Only the host can change the song", "leave"); return; }
+    sendControl(socketService.emitTrack(roomId, t));
+    if (canControl) showToast(`Playing "${t.name}"`, "play");
+  }, [mayControl, canControl, sendControl, roomId, showToast]);
+
+  // Files and links play through <audio> — the same file or URL on every side
+  const handleAudioFile = useCallback(async file => {
+    const t = await playback.audio.addFile(file);
+    // The room is already on this file — we were the one without it
+    if (t.uri === roomStateRef.current?.trackUri) { applyPlayback(roomStateRef.current, { force: true }); return; }
+    handleTrackPlay(t);
+  }, [playback.audio, applyPlayback, handleTrackPlay]);
+
+  const handleAudioUrl = useCallback(async url => {
+    if (url.startsWith("http:")) { showToast("Only https:// links can play here", "leave"); return; }
+    const t = await playback.audio.trackFromUrl(url);
+    if (!t) { showToast("That doesn't look like an audio link", "leave"); return; }
+    trustedLinksRef.current.add(t.uri); // our own pick — no need to ask us
+    handleTrackPlay(t);
+  }, [playback.audio, handleTrackPlay, showToast]);
+
+  // The room keeps no "previous" track, so Prev starts the room's track over —
+  // a seek like any other, for everyone and under the room's control mode
+  const handlePrev = useCallback(() => {
+    if (!track || !mayControl) return;
+    sendControl(socketService.emitSeek(roomId, 0));
+  }, [track, mayControl, sendControl, roomId]);
+
+  // Plays the head of the shared queue for everyone — nothing local until it's applied
+  const handleNext = useCallback(() => {
+    if (!queue?.length) return;
+    sendControl(socketService.emitNext(roomId));
+  }, [queue, sendControl, roomId]);
+
+  const handleQueueAdd = useCallback(async t => {
+    try {
+      await socketService.queueAdd(roomId, t);
+      showToast(`Queued "${t.name}"`, "info");
+      return true;
+    } catch (err) {
+      showToast(err.message, "leave");
+      return false;
+    }
+  }, [roomId, showToast]);
+
+  const handleQueueRemove = useCallback(itemId => {
+    socketService.queueRemove(roomId, itemId).catch(err => showToast(err.message, "leave"));
+  }, [roomId, showToast]);
+
+  const handleQueueMove = useCallback((itemId, toIndex) => {
+    socketService.queueMove(roomId, itemId, toIndex).catch(err => showToast(err.message, "leave"));
+  }, [roomId, showToast]);
+
+  // Mirrors the server's rule: own tracks always, everything for the host or in "everyone" mode
+  const canEditQueueItem = useCallback(item =>
+    item.addedBy === selfId || isHost || controlMode === "everyone", [selfId, isHost, controlMode]);
+
+  const handleCastVote = useCallback(voteId => {
+    socketService.castVote(roomId, voteId);
+    setVotedIds(p => new Set([...p, voteId]));
+  }, [roomId]);
+
+  const handleMakeHost = useCallback(memberId => {
+    socketService.transferHost(roomId, memberId).catch(err => showToast(err.message, "leave"));
+  }, [roomId, showToast]);
+
+  const handleSettings = useCallback(settings => {
+    socketService.updateSettings(roomId, settings).catch(err => showToast(err.message, "leave"));
   }, [roomId, showToast]);
 
   const handleReaction = useCallback(emoji => {
@@ -341,15 +722,26 @@ export default function Room({ roomId, onLeaveRoom, spotifyToken }) {
 
   /* Derived */
   const isConnected = connStatus === "connected";
+  const voter = vote && (roomInfo?.members ?? []).find(m => m.id === vote.byId);
+  const showVote = vote && vote.byId !== selfId && !votedIds.has(vote.id);
+  const roster = <Roster roomInfo={roomInfo} selfId={selfId} onMakeHost={handleMakeHost} onSettings={handleSettings} />;
+  const queuePanelProps = {
+    queue, members: roomInfo?.members ?? [], selfId, roster,
+    canEdit: canEditQueueItem, canReorder: isHost || controlMode === "everyone",
+    onRemove: handleQueueRemove, onMove: handleQueueMove,
+  };
   const albumArt = track?.album?.images?.[0]?.url ?? null;
   const trackName = track?.name ?? "Ready to Sync";
   const artistName = track?.artists?.map(a => a.name).join(", ") ?? "Open Spotify to start";
   const progressPct = durationMs > 0 ? Math.min((progressMs / durationMs) * 100, 100) : 0;
   const myInit = profile?.name?.[0]?.toUpperCase() ?? "Y";
-  const partInit = (partnerName?.[0] ?? "P").toUpperCase();
+  const partInit = partnerName[0].toUpperCase();
   const listenMin = Math.floor(listeningSecs / 60);
   const listenSec = listeningSecs % 60;
-  const sync = syncLabel(latency);
+  const sync = syncLabel(roomDriftMs ?? driftMs ?? latency);
+  const syncTitle = driftMs !== null
+    ? `Drift ${driftMs > 0 ? "+" : ""}${driftMs}ms · ${corrections} correction${corrections !== 1 ? "s" : ""}`
+    : latency !== null ? `Round trip ${latency}ms` : undefined;
   const isPremium = playerReady;
   const isFree = !playerReady && !!playerError;
   const trackUri = track?.uri ?? null;
@@ -386,20 +778,30 @@ export default function Room({ roomId, onLeaveRoom, spotifyToken }) {
       {/* Track block */}
       <div className="track-block">
         <div className="track-chips">
-          {sync && <span className={`chip ${sync.cls}`}>{sync.text}</span>}
-          {isPremium && <span className="chip chip--device">▶ Duo-fy Web</span>}
-          {isFree && <span className="chip chip--free">♫ Spotify App</span>}
+          {sync && <span className={`chip ${sync.cls}`} title={syncTitle}>{sync.text}</span>}
+          {playback.kind === "audio" && <span className="chip chip--device">♫ {playback.label}</span>}
+          {playback.kind === "follow" && <span className="chip chip--free" title="Spotify Free — previews and links, in sync">♫ {playback.label}</span>}
+          {playback.kind === "spotify" && <>
+              {isPremium && <button className="chip chip--device chip--btn" onClick={() => setShowDevices(v => !v)}
+                aria-expanded={showDevices} title="Choose where Spotify plays">▶ {playback.label} ▾</button>}
+              {isFree && <button className="chip chip--free chip--btn" onClick={() => setShowDevices(v => !v)}
+                aria-expanded={showDevices} title="Play on another Spotify device">♫ Spotify App ▾</button>}
+          </>}
         </div>
+        {showDevices && playback.kind === "spotify" && (
+          <DevicePicker devices={devices} browserDeviceId={playback.spotify.deviceId}
+            onSelect={id => { devices.select(id); setShowDevices(false); }} onClose={() => setShowDevices(false)} />
+        )}
         <h2 className="track-name">{trackName}</h2>
         <p className="track-artist">{artistName}</p>
 
         {/* Partner micro badge near track */}
-        {partnerOnline && (
+        {(partnerOnline || partnerReconnecting) && (
           <div className="partner-micro">
             <div className={`pm-av ${partnerPlaying ? "pm-av--playing" : ""}`}>
               {partnerAvatar ? <img src={partnerAvatar} alt={partnerName} /> : <span>{partInit}</span>}
             </div>
-            <span className="pm-label">{partnerPlaying ? `${partnerName} is listening` : `${partnerName} is here`}</span>
+            <span className="pm-label">{partnerReconnecting ? `${partnerName} is reconnecting…` : partnerPlaying ? `${partnerName} is listening` : `${partnerName} is here`}</span>
           </div>
         )}
 
@@ -444,15 +846,17 @@ export default function Room({ roomId, onLeaveRoom, spotifyToken }) {
 
       {/* Controls */}
       <div className="controls">
-        <button className="ctrl ctrl--sm" onClick={() => spotifySkipPrev(spotifyToken).catch(() => { })} disabled={!deviceId}><PrevIcon /></button>
+        <button className="ctrl ctrl--sm" onClick={handlePrev} disabled={!isConnected || !mayControl || !track}
+          title="Back to the start"><PrevIcon /></button>
         <button
           className={`ctrl ctrl--play ${syncPlaying ? "ctrl--pause" : ""} ${heartbeat ? "ctrl--pulse" : ""} ${celebrating ? "ctrl--pop" : ""}`}
           onClick={syncPlaying ? handlePause : handlePlay}
-          disabled={!isConnected}
+          disabled={!isConnected || !mayControl}
         >
           {syncPlaying ? <PauseIcon /> : <PlayIcon />}
         </button>
-        <button className="ctrl ctrl--sm" onClick={() => spotifySkipNext(spotifyToken).catch(() => { })} disabled={!deviceId}><NextIcon /></button>
+        <button className="ctrl ctrl--sm" onClick={handleNext} disabled={!isConnected || !mayControl || !queue?.length}
+          title={queue?.length ? `Next: ${queue[0].name}` : "Queue is empty"}><NextIcon /></button>
       </div>
 
       {/* Volume */}
@@ -463,8 +867,30 @@ export default function Room({ roomId, onLeaveRoom, spotifyToken }) {
         <VolMax />
       </div>
 
+      {/* Someone else's link — nothing is fetched until we click */}
+      {pendingLink && (
+        <div className="follow-along">
+          <p className="follow-along__note">
+            The room is playing a link from {new URL(pendingLink).hostname}. Listening loads it from that site.
+          </p>
+          <button className="open-spotify open-spotify--btn" onClick={acceptLink}>▶ Listen along</button>
+        </div>
+      )}
+
+      {/* Spotify Free — the preview plays in sync, then a link (#t=m:ss) picks up where the room is */}
+      {playback.kind === "follow" && (
+        <div className="follow-along">
+          <p className="follow-along__note">{followNote(playback.follow.preview, !!trackUri)}</p>
+          {trackUri && (
+            <a href={`${spotifyLink}#t=${fmtMs(progressMs)}`} target="_blank" rel="noopener noreferrer" className="open-spotify">
+              Open in Spotify at {fmtMs(progressMs)} ↗
+            </a>
+          )}
+        </div>
+      )}
+
       {/* Free user nudge */}
-      {isFree && (
+      {isFree && playback.kind !== "follow" && (
         <a href={spotifyLink} target="_blank" rel="noopener noreferrer" className="open-spotify">
           Open in Spotify App ↗
         </a>
@@ -497,6 +923,17 @@ export default function Room({ roomId, onLeaveRoom, spotifyToken }) {
       {/* Toast */}
       {toast && <div className={`toast toast--${toast.type}`} role="status" aria-live="polite"><span className="toast-dot" />{toast.text}</div>}
 
+      {/* Control vote */}
+      {showVote && (
+        <div className="vote-banner" role="status" aria-live="polite">
+          <span className="vote-banner__text">
+            {voter ? memberLabel(voter, selfId) : "Someone"} wants to {VOTE_VERBS[vote.event]}
+            {vote.trackName ? ` "${vote.trackName}"` : ""} · {vote.votes}/{vote.needed}
+          </span>
+          <button className="vote-banner__btn" onClick={() => handleCastVote(vote.id)}>Agree</button>
+        </div>
+      )}
+
       {/* Celebrate overlay */}
       {celebrating && <div className="celebrate-overlay" aria-hidden><p className="cel-text">You're in sync 💕</p></div>}
 
@@ -526,10 +963,19 @@ export default function Room({ roomId, onLeaveRoom, spotifyToken }) {
       {showCodeCard && (
         <div className="code-banner">
           <p className="code-banner__label">Invite your partner</p>
-          <div className="code-banner__code">{roomId}</div>
+          <div className={`code-banner__code${roomId.length > 8 ? " code-banner__code--words" : ""}`}>{roomId}</div>
+          {invite?.qr && (
+            <figure className="code-banner__qr">
+              <img src={invite.qr} alt={`QR code to join room ${roomId}`} width={QR_OPTIONS.width} height={QR_OPTIONS.width} />
+              <figcaption>Scan to join on a phone</figcaption>
+            </figure>
+          )}
+          {roomInfo?.hasPasscode && (
+            <p className="code-banner__note">🔒 Joining with the code takes your passcode too — the link and QR code don't.</p>
+          )}
           <div className="code-banner__btns">
             <button className="code-btn" onClick={copyCode}>{codeCopied ? "✓ Copied!" : "📋 Copy Code"}</button>
-            <button className="code-btn code-btn--alt" onClick={() => shareRoom(roomId)}>🔗 Share Link</button>
+            <button className="code-btn code-btn--alt" onClick={() => shareRoom(roomId, invite?.url)}>🔗 Share Link</button>
           </div>
         </div>
       )}
@@ -537,25 +983,21 @@ export default function Room({ roomId, onLeaveRoom, spotifyToken }) {
       {/* ── DESKTOP 3-COLUMN ────────────────────────────── */}
       <div className="desk-layout">
         <aside className="desk-left">
-          <QueuePanel
-            accessToken={spotifyToken} currentTrack={track}
-            deviceId={deviceId} partnerName={partnerName}
-            partnerAvatar={partnerAvatar} partnerOnline={partnerOnline}
-          />
+          <QueuePanel {...queuePanelProps} />
         </aside>
         <main className="desk-center">
           {playerContent}
           <button className="leave-btn" onClick={() => setShowSummary(true)}>Leave Room</button>
         </main>
         <aside className="desk-right">
-          <SearchPanel accessToken={spotifyToken} deviceId={deviceId} onTrackPlay={handleTrackPlay} />
+          <SearchPanel accessToken={spotifyToken} onTrackPlay={handleTrackPlay} onTrackQueue={handleQueueAdd}
+            onAudioFile={handleAudioFile} onAudioUrl={handleAudioUrl} />
         </aside>
       </div>
 
       {/* ── MOBILE PANELS ───────────────────────────────── */}
       <div className={`mob-panel ${mobileTab === "queue" ? "mob-panel--show" : ""}`}>
-        <QueuePanel accessToken={spotifyToken} currentTrack={track} deviceId={deviceId}
-          partnerName={partnerName} partnerAvatar={partnerAvatar} partnerOnline={partnerOnline} />
+        <QueuePanel {...queuePanelProps} />
       </div>
       <div className={`mob-panel ${mobileTab === "player" ? "mob-panel--show" : ""}`}>
         {playerContent}
@@ -564,7 +1006,8 @@ export default function Room({ roomId, onLeaveRoom, spotifyToken }) {
         <div style={{ height: "16px" }} />
       </div>
       <div className={`mob-panel ${mobileTab === "search" ? "mob-panel--show" : ""}`}>
-        <SearchPanel accessToken={spotifyToken} deviceId={deviceId} onTrackPlay={handleTrackPlay} />
+        <SearchPanel accessToken={spotifyToken} onTrackPlay={handleTrackPlay} onTrackQueue={handleQueueAdd}
+            onAudioFile={handleAudioFile} onAudioUrl={handleAudioUrl} />
       </div>
 
       {/* Mini bar (non-player tabs) */}
@@ -578,7 +1021,7 @@ export default function Room({ roomId, onLeaveRoom, spotifyToken }) {
             </div>
           </div>
           <button className={`mini-play-btn ${syncPlaying ? "mini-play-btn--pause" : ""}`}
-            onClick={syncPlaying ? handlePause : handlePlay} disabled={!isConnected}>
+            onClick={syncPlaying ? handlePause : handlePlay} disabled={!isConnected || !mayControl}>
             {syncPlaying ? "⏸" : "▶"}
           </button>
         </div>
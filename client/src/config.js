@@ -0,0 +1,12 @@
+/**
+ * config.js — Duo-fy client configuration
+ *
+ * The session cookie belongs to whichever host ran the login, so every request
+ * that relies on it — /token, /socket-token and the socket handshake — must go
+ * to that same host. 127.0.0.1 and localhost are different hosts to a browser.
+ *
+ * Exports:
+ *   BACKEND_URL — VITE_BACKEND_URL, or the local dev server
+ */
+
+export const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || "http://127.0.0.1:5000";
@@ -0,0 +1,55 @@
+/**
+ * src/demo/catalog.js
+ *
+ * Made-up tracks for demo mode, shaped like Spotify's track objects so search
+ * results, the queue and the player render them as-is. No album art or
+ * previews — the server only accepts https artwork, and demo mode works
+ * without a network.
+ */
+
+const ALBUMS = [
+  {
+    name: "Night Drive", artist: "The Paper Lanterns",
+    tracks: [["Neon Overpass", 214000], ["Slow Headlights", 187000], ["Exit 9", 242000], ["Windows Down", 198000]],
+  },
+  {
+    name: "Soft Static", artist: "Mira Vale",
+    tracks: [["Kitchen Radio", 176000], ["Half Asleep", 231000], ["Postcards", 203000], ["Blue Hour", 259000]],
+  },
+  {
+    name: "Satellite Hearts", artist: "Orbit & Ivy",
+    tracks: [["Long Distance", 221000], ["Same Moon", 194000], ["Signal Lost", 168000], ["Come Home", 247000]],
+  },
+  {
+    name: "Paper Boats", artist: "Juniper Coast",
+    tracks: [["Low Tide", 183000], ["Harbour Lights", 236000], ["Salt & Honey", 209000], ["Undertow", 264000]],
+  },
+];
+
+export const DEMO_TRACKS = ALBUMS.flatMap((album, a) =>
+  album.tracks.map(([name, durationMs], t) => {
+    const id = `demo${a}${t}`;
+    return {
+      id,
+      uri:         `spotify:track:${id}`,
+      name,
+      duration_ms: durationMs,
+      artists:     [{ name: album.artist }],
+      album:       { name: album.name, images: [] },
+      preview_url: null,
+    };
+  })
+);
+
+export function findDemoTrack(uri) {
+  return DEMO_TRACKS.find((t) => t.uri === uri) ?? null;
+}
+
+// Matches on track, artist or album name — every word must appear somewhere
+export function searchDemoTracks(query, limit) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return DEMO_TRACKS.filter((t) => {
+    const haystack = `${t.name} ${t.artists[0].name} ${t.album.name}`.toLowerCase();
+    return words.every((w) => haystack.includes(w));
+  }).slice(0, limit);
+}
@@ -0,0 +1,307 @@
+/**
+ * src/demo/demoSpotify.js
+ *
+ * Demo mode (VITE_SPOTIFY_MODE=demo) — a simulated Spotify inside the tab:
+ *   demoFetch(url, init)  — answers the Web API calls the app makes
+ *                           (/me, /me/player/*, /search, /tracks/{id})
+ *   DemoPlayer            — stands in for window.Spotify.Player
+ *
+ * Each tab is its own listener with its own player, so two tabs make a room.
+ * The player is silent: a clock that runs while "playing" and stops at the
+ * end of the track, which is all the sync logic needs. Two pretend Connect
+ * devices (a phone and a speaker) share that clock; while one of them is
+ * active the browser player reports nothing, as with real Spotify.
+ *
+ * Exports: IS_DEMO, demoFetch, DemoPlayer, demoListener (this tab's { id, name })
+ */
+
+import { findDemoTrack, searchDemoTracks } from "./catalog";
+
+export const IS_DEMO = import.meta.env.VITE_SPOTIFY_MODE === "demo";
+
+const LATENCY_MS = 40; // a little round-trip time, so timing code is exercised
+const NAMES      = ["Robin", "Sasha", "Kai", "Noor", "Jules", "Remy", "Ari", "Lou"];
+
+// ── Listener ────────────────────────────────────────────────
+// Per tab (sessionStorage) — a reload keeps the same demo identity
+const LISTENER_KEY = "duofy_demo_listener";
+
+function loadListener() {
+  try {
+    const saved = JSON.parse(sessionStorage.getItem(LISTENER_KEY));
+    if (saved?.id) return saved;
+  } catch { /* make a new one */ }
+  const listener = {
+    id:   `demo-${crypto.randomUUID().slice(0, 8)}`,
+    name: `${NAMES[Math.floor(Math.random() * NAMES.length)]} (demo)`,
+  };
+  sessionStorage.setItem(LISTENER_KEY, JSON.stringify(listener));
+  return listener;
+}
+
+const listener = loadListener();
+export { listener as demoListener };
+
+// ── Player clock ────────────────────────────────────────────
+// positionMs is as of `at`; while playing the position runs on from there
+const player = {
+  deviceId:   null,  // the DemoPlayer's device, once connected
+  activeId:   null,  // the device playback is on — the DemoPlayer's or a remote one
+  track:      null,
+  positionMs: 0,
+  at:         Date.now(),
+  isPlaying:  false,
+  queue:      [],
+  history:    [],
+  volume:     0.7,
+};
+
+const REMOTE_DEVICES = [
+  { id: "demo-phone",   name: `${listener.name.replace(" (demo)", "")}'s Phone`, type: "Smartphone" },
+  { id: "demo-speaker", name: "Living Room Speaker",                              type: "Speaker" },
+];
+
+const stateListeners = new Set();
+let endTimer = null;
+
+function currentPosition(now = Date.now()) {
+  if (!player.track) return 0;
+  const elapsed = player.isPlaying ? now - player.at : 0;
+  return Math.min(player.positionMs + elapsed, player.track.duration_ms);
+}
+
+// Every change goes through here: pin the clock, re-arm the end timer, notify
+function update(changes) {
+  const now = Date.now();
+  Object.assign(player, { positionMs: currentPosition(now), at: now }, changes);
+
+  clearTimeout(endTimer);
+  if (player.isPlaying && player.track) {
+    endTimer = setTimeout(finishTrack, player.track.duration_ms - player.positionMs);
+  }
+  stateListeners.forEach((fn) => fn());
+}
+
+// Like Spotify: go on to the queue, or stop at the top of the finished track
+function finishTrack() {
+  const next = player.queue.shift();
+  if (next) {
+    player.history.push(player.track);
+    update({ track: next, positionMs: 0, isPlaying: true });
+  } else {
+    update({ positionMs: 0, isPlaying: false });
+  }
+}
+
+// The SDK's player_state_changed shape
+function sdkState() {
+  if (!player.deviceId || player.activeId !== player.deviceId || !player.track) return null;
+  return {
+    paused:       !player.isPlaying,
+    loading:      false,
+    position:     currentPosition(),
+    duration:     player.track.duration_ms,
+    timestamp:    Date.now(),
+    track_window: {
+      current_track:   player.track,
+      previous_tracks: player.history.slice(-2),
+      next_tracks:     player.queue.slice(0, 2),
+    },
+  };
+}
+
+// ── Web API ─────────────────────────────────────────────────
+
+const json = (status, body) =>
+  new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+const noContent = () => new Response(null, { status: 204 });
+const apiError  = (status, message, reason) => json(status, { error: { status, message, ...(reason && { reason }) } });
+const noDevice  = () => apiError(404, "Player command failed: No active device found", "NO_ACTIVE_DEVICE");
+
+function devices() {
+  const browser = player.deviceId ? [{ id: player.deviceId, name: "Duo-fy", type: "Computer" }] : [];
+  return [...browser, ...REMOTE_DEVICES].map((d) => ({
+    ...d, is_active: d.id === player.activeId, is_restricted: false, volume_percent: Math.round(player.volume * 100),
+  }));
+}
+
+function playbackBody(withDevice) {
+  return {
+    ...(withDevice && { device: devices().find((d) => d.is_active) }),
+    timestamp:   Date.now(),
+    progress_ms: currentPosition(),
+    is_playing:  player.isPlaying,
+    item:        player.track,
+  };
+}
+
+// device_id, when given, must be a known device — and taking a command makes it active
+function claimDevice(deviceId) {
+  if (deviceId && !devices().some((d) => d.id === deviceId)) return false;
+  if (deviceId) player.activeId = deviceId;
+  return !!player.activeId;
+}
+
+const ROUTES = {
+  "GET /me": () => json(200, {
+    id: listener.id, display_name: listener.name, images: [], product: "premium", country: "US",
+  }),
+
+  "GET /me/player": () => (player.activeId && player.track ? json(200, playbackBody(true)) : noContent()),
+  "GET /me/player/devices": () => json(200, { devices: devices() }),
+  "GET /me/player/currently-playing": () => (player.track ? json(200, playbackBody(false)) : noContent()),
+
+  "PUT /me/player": (_q, body) => {
+    const id = body?.device_ids?.[0];
+    if (!devices().some((d) => d.id === id)) return apiError(404, "Device not found");
+    player.activeId = id;
+    update(body.play ? { isPlaying: !!player.track } : {});
+    return noContent();
+  },
+
+  "PUT /me/player/play": (q, body) => {
+    if (!claimDevice(q.get("device_id"))) return noDevice();
+    if (body?.uris?.length) {
+      const [first, ...rest] = body.uris.map(findDemoTrack);
+      if (!first || rest.includes(null)) return apiError(400, "Invalid track uri");
+      if (player.track) player.history.push(player.track);
+      update({ track: first, positionMs: body.position_ms ?? 0, isPlaying: true, queue: [...rest, ...player.queue] });
+    } else {
+      if (!player.track) return apiError(404, "Nothing to resume");
+      update({ isPlaying: true, ...(body?.position_ms !== undefined && { positionMs: body.position_ms }) });
+    }
+    return noContent();
+  },
+
+  "PUT /me/player/pause": (q) => {
+    if (!claimDevice(q.get("device_id"))) return noDevice();
+    update({ isPlaying: false });
+    return noContent();
+  },
+
+  "PUT /me/player/seek": (q) => {
+    if (!claimDevice(q.get("device_id"))) return noDevice();
+    const positionMs = Number(q.get("position_ms"));
+    if (!Number.isFinite(positionMs) || positionMs < 0) return apiError(400, "Invalid position_ms");
+    update({ positionMs: Math.min(positionMs, player.track?.duration_ms ?? 0) });
+    return noContent();
+  },
+
+  "POST /me/player/next": (q) => {
+    if (!claimDevice(q.get("device_id"))) return noDevice();
+    finishTrack();
+    return noContent();
+  },
+
+  // Spotify restarts the track unless it has only just begun
+  "POST /me/player/previous": (q) => {
+    if (!claimDevice(q.get("device_id"))) return noDevice();
+    const previous = player.history.pop();
+    if (previous && currentPosition() < 3000) {
+      update({ track: previous, positionMs: 0, queue: [player.track, ...player.queue] });
+    } else {
+      if (previous) player.history.push(previous);
+      update({ positionMs: 0 });
+    }
+    return noContent();
+  },
+
+  "GET /me/player/queue": () => json(200, { currently_playing: player.track, queue: player.queue }),
+
+  "POST /me/player/queue": (q) => {
+    if (!claimDevice(q.get("device_id"))) return noDevice();
+    const track = findDemoTrack(q.get("uri"));
+    if (!track) return apiError(400, "Invalid track uri");
+    player.queue.push(track);
+    update({});
+    return noContent();
+  },
+
+  "GET /tracks/:id": (_q, _body, id) => {
+    const track = findDemoTrack(`spotify:track:${id}`);
+    return track ? json(200, track) : apiError(404, "Non existing id");
+  },
+
+  "GET /search": (q) => {
+    const limit = Math.min(Number(q.get("limit")) || 20, 50);
+    const items = searchDemoTracks(q.get("q") ?? "", limit);
+    return json(200, { tracks: { items, total: items.length, limit, offset: 0 } });
+  },
+};
+
+// A drop-in for fetch() against https://api.spotify.com/v1
+export async function demoFetch(url, init = {}) {
+  await new Promise((r) => setTimeout(r, LATENCY_MS));
+
+  const headers = new Headers(init.headers);
+  if (!/^Bearer \S+/.test(headers.get("Authorization") ?? "")) {
+    return apiError(401, "No token provided");
+  }
+
+  const { pathname, searchParams } = new URL(url);
+  const path = pathname.replace(/^\/v1/, "");
+  const [, id] = path.match(/^\/tracks\/([^/]+)$/) ?? [];
+  const route = ROUTES[`${init.method ?? "GET"} ${id ? "/tracks/:id" : path}`];
+  if (!route) return apiError(404, "Service not found");
+
+  let body = null;
+  try { body = init.body ? JSON.parse(init.body) : null; } catch { return apiError(400, "Malformed json"); }
+  return route(searchParams, body, id && decodeURIComponent(id));
+}
+
+// ── Web Playback SDK stand-in ───────────────────────────────
+// Same surface as window.Spotify.Player, as far as useSpotifyPlayer uses it
+
+export class DemoPlayer {
+  constructor({ volume = 0.7 } = {}) {
+    this.listeners = new Map(); // event → Set<cb>
+    this.offState  = null;
+    player.volume  = volume;
+  }
+
+  addListener(event, cb) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(cb);
+    return true;
+  }
+
+  removeListener(event, cb) {
+    if (cb) this.listeners.get(event)?.delete(cb);
+    else this.listeners.delete(event);
+    return true;
+  }
+
+  emit(event, data) {
+    this.listeners.get(event)?.forEach((cb) => cb(data));
+  }
+
+  async connect() {
+    if (this.offState) return true;
+    player.deviceId = `demo-device-${crypto.randomUUID().slice(0, 8)}`;
+    const onChange = () => this.emit("player_state_changed", sdkState());
+    stateListeners.add(onChange);
+    this.offState = () => stateListeners.delete(onChange);
+    setTimeout(() => this.emit("ready", { device_id: player.deviceId }), LATENCY_MS);
+    return true;
+  }
+
+  disconnect() {
+    this.offState?.();
+    this.offState = null;
+    if (player.activeId === player.deviceId) player.activeId = null;
+    player.deviceId = null;
+    update(player.activeId ? {} : { isPlaying: false });
+  }
+
+  async getCurrentState() { return sdkState(); }
+  async getVolume()       { return player.volume; }
+  async setVolume(v)      { player.volume = v; }
+
+  // Like the SDK, these only act while playback is on this player
+  get active() { return !!player.deviceId && player.activeId === player.deviceId; }
+
+  async pause()  { if (this.active) update({ isPlaying: false }); }
+  async resume() { if (this.active && player.track) update({ isPlaying: true }); }
+  async togglePlay() { return player.isPlaying ? this.pause() : this.resume(); }
+  async seek(positionMs) { if (this.active) update({ positionMs }); }
+}
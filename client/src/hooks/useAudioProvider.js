@@ -0,0 +1,226 @@
+/**
+ * src/hooks/useAudioProvider.js
+ *
+ * An HTML5 <audio> playback provider (see usePlayback for the interface) —
+ * no Spotify account needed. It plays two kinds of track URI:
+ *   https://…/song.mp3       — a URL every member's browser fetches itself (https only:
+ *                              plain http is blocked as mixed content on an https site)
+ *   local:<name>:<bytes>     — a file each member picks from their own disk;
+ *                              the name + size pair is how the room recognises it
+ *
+ * Tracks are shaped like Spotify track objects so the UI shows them as-is.
+ *
+ * Exports:
+ *   useAudioProvider() → provider (kind "audio") + { addFile, trackFromUrl }
+ *   isAudioUri(uri)
+ *   MissingFileError — a local: track this member hasn't picked yet
+ */
+
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+
+const LOAD_TIMEOUT_MS = 15000;
+const DEFAULT_VOLUME  = 0.7;
+
+export class MissingFileError extends Error {
+  constructor(fileName) {
+    super(`Pick "${fileName}" on this device to listen along.`);
+    this.name     = "MissingFileError";
+    this.fileName = fileName;
+  }
+}
+
+export function isAudioUri(uri) {
+  return typeof uri === "string" && (uri.startsWith("local:") || uri.startsWith("https://"));
+}
+
+// local:<name>:<bytes> — the name may itself contain colons
+function localFileName(uri) {
+  return uri.slice("local:".length, uri.lastIndexOf(":"));
+}
+
+function makeTrack(uri, name, durationMs = 0) {
+  return {
+    id:          uri,
+    uri,
+    name:        name.replace(/\.[a-z0-9]{2,4}$/i, "") || "Untitled",
+    duration_ms: durationMs,
+    artists:     [{ name: uri.startsWith("local:") ? "Local file" : new URL(uri).hostname }],
+    album:       { name: "", images: [] },
+  };
+}
+
+// Resolves once the element can play, rejects on a load error or a stall
+function whenLoaded(audio, event = "canplay") {
+  return new Promise((resolve, reject) => {
+    const done = fn => arg => {
+      clearTimeout(timer);
+      audio.removeEventListener(event, onReady);
+      audio.removeEventListener("error", onError);
+      fn(arg);
+    };
+    const onReady = done(resolve);
+    const onError = done(() => reject(new Error("This audio couldn't be loaded.")));
+    const timer   = setTimeout(done(() => reject(new Error("This audio took too long to load."))), LOAD_TIMEOUT_MS);
+    audio.addEventListener(event, onReady);
+    audio.addEventListener("error", onError);
+  });
+}
+
+// Duration without touching the shared element
+async function probeDuration(src) {
+  const probe = new Audio();
+  probe.preload = "metadata";
+  probe.src = src;
+  try {
+    await whenLoaded(probe, "loadedmetadata");
+    return Number.isFinite(probe.duration) ? Math.round(probe.duration * 1000) : 0;
+  } catch {
+    return 0;
+  } finally {
+    probe.removeAttribute("src");
+  }
+}
+
+export function useAudioProvider() {
+  const [volume, setVolumeState] = useState(DEFAULT_VOLUME);
+
+  const audioRef     = useRef(null);
+  const trackRef     = useRef(null);      // the track loaded into the element
+  const filesRef     = useRef(new Map()); // local: uri → { url, track }
+  const listenersRef = useRef(new Set());
+
+  const snapshot = useCallback(() => {
+    const audio = audioRef.current;
+    const track = trackRef.current;
+    if (!audio || !track) return null;
+    return {
+      track,
+      positionMs:  Math.round(audio.currentTime * 1000),
+      durationMs:  Number.isFinite(audio.duration) ? Math.round(audio.duration * 1000) : track.duration_ms,
+      isPlaying:   !audio.paused,
+      isBuffering: !audio.paused && audio.readyState < 3,
+      at:          Date.now(),
+    };
+  }, []);
+
+  const emit = useCallback(() => {
+    const state = snapshot();
+    listenersRef.current.forEach(fn => fn(state));
+  }, [snapshot]);
+
+  useEffect(() => {
+    const audio = new Audio();
+    audio.preload = "auto";
+    audio.volume  = DEFAULT_VOLUME;
+    audioRef.current = audio;
+
+    const EVENTS = ["play", "playing", "pause", "seeked", "waiting", "loadedmetadata"];
+    EVENTS.forEach(e => audio.addEventListener(e, emit));
+
+    // Finished — stop at the top of the track, like Spotify, so the end is detected
+    const onEnded = () => { audio.currentTime = 0; emit(); };
+    audio.addEventListener("ended", onEnded);
+
+    const files = filesRef.current;
+    return () => {
+      EVENTS.forEach(e => audio.removeEventListener(e, emit));
+      audio.removeEventListener("ended", onEnded);
+      audio.pause();
+      audio.removeAttribute("src");
+      audioRef.current = null;
+      files.forEach(({ url }) => URL.revokeObjectURL(url));
+      files.clear();
+    };
+  }, [emit]);
+
+  // Point the element at uri unless it's already there
+  const loadSource = useCallback(async uri => {
+    const audio = audioRef.current;
+    if (!audio || !uri || trackRef.current?.uri === uri) return;
+
+    let src, track;
+    if (uri.startsWith("local:")) {
+      const file = filesRef.current.get(uri);
+      if (!file) throw new MissingFileError(localFileName(uri));
+      ({ url: src, track } = file);
+    } else {
+      src   = uri;
+      track = makeTrack(uri, decodeURIComponent(new URL(uri).pathname.split("/").pop() ?? ""));
+    }
+
+    trackRef.current = track;
+    audio.src = src;
+    try {
+      await whenLoaded(audio);
+    } catch (err) {
+      trackRef.current = null; // so the next attempt loads it again
+      throw err;
+    }
+  }, []);
+
+  const seek = useCallback(async positionMs => {
+    const audio = audioRef.current;
+    if (audio) audio.currentTime = Math.max(0, positionMs) / 1000;
+  }, []);
+
+  const play = useCallback(async (uri, positionMs) => {
+    await loadSource(uri);
+    if (positionMs !== undefined) await seek(positionMs);
+    await audioRef.current?.play();
+  }, [loadSource, seek]);
+
+  const load = useCallback(async (uri, positionMs) => {
+    await loadSource(uri);
+    audioRef.current?.pause();
+    await seek(positionMs);
+  }, [loadSource, seek]);
+
+  const pause  = useCallback(async () => { audioRef.current?.pause(); }, []);
+  const resume = useCallback(async () => { await audioRef.current?.play(); }, []);
+
+  const getPosition = useCallback(async () => {
+    const state = snapshot();
+    if (!state) return null;
+    return { positionMs: state.positionMs, paused: !state.isPlaying, trackUri: state.track.uri };
+  }, [snapshot]);
+
+  const setVolume = useCallback(v => {
+    setVolumeState(v);
+    if (audioRef.current) audioRef.current.volume = v;
+  }, []);
+
+  const onStateChange = useCallback(handler => {
+    listenersRef.current.add(handler);
+    return () => listenersRef.current.delete(handler);
+  }, []);
+
+  // A file from this device → its track; picking the same file again is a no-op
+  const addFile = useCallback(async file => {
+    const uri = `local:${file.name}:${file.size}`;
+    const known = filesRef.current.get(uri);
+    if (known) return known.track;
+
+    const url   = URL.createObjectURL(file);
+    const track = makeTrack(uri, file.name, await probeDuration(url));
+    filesRef.current.set(uri, { url, track });
+    return track;
+  }, []);
+
+  // → a track for an https audio URL, or null when it isn't one
+  const trackFromUrl = useCallback(async url => {
+    if (!isAudioUri(url) || url.startsWith("local:")) return null;
+    const name = decodeURIComponent(new URL(url).pathname.split("/").pop() ?? "");
+    return makeTrack(url, name, await probeDuration(url));
+  }, []);
+
+  return useMemo(() => ({
+    kind:    "audio",
+    label:   "Audio file",
+    ready:   true,
+    error:   null,
+    canPlay: isAudioUri,
+    play, load, pause, resume, seek, getPosition,
+    volume, setVolume, onStateChange,
+    addFile, trackFromUrl,
+  }), [play, load, pause, resume, seek, getPosition, volume, setVolume, onStateChange, addFile, trackFromUrl]);
+}
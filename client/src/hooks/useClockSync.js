@@ -0,0 +1,21 @@
+/**
+ * src/hooks/useClockSync.js
+ *
+ * Live view of the socket clock sync.
+ *
+ * Exports:
+ *   useClockSync() → { offset, rtt, syncedAt }
+ *     offset — server clock minus this device's clock (ms)
+ *     rtt    — measured round trip to the server (ms), null until first sync
+ */
+
+import { useEffect, useState } from "react";
+import socketService from "../socket";
+
+export function useClockSync() {
+  const [clock, setClock] = useState(() => socketService.clock);
+
+  useEffect(() => socketService.onClockSync(setClock), []);
+
+  return clock;
+}
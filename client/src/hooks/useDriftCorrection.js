@@ -0,0 +1,88 @@
+/**
+ * src/hooks/useDriftCorrection.js
+ *
+ * Sync heartbeat: every few seconds report the player position to the server,
+ * which measures drift against the room's authoritative position and says
+ * how to correct it.
+ *
+ *   null    — within threshold, nothing to do
+ *   "nudge" — slightly ahead: pause locally for the drift, then resume
+ *   "seek"  — behind or far off: seek to the room position
+ *   "resync"— playing the wrong track: re-apply the room state
+ *
+ * Exports:
+ *   useDriftCorrection({ roomId, enabled, player, onResync })
+ *     → { driftMs, roomDriftMs, corrections }
+ *     player — { getPosition, pause, resume, seek } from usePlayback
+ */
+
+import { useEffect, useRef, useState } from "react";
+import socketService, { SERVER_EVENTS } from "../socket";
+
+const HEARTBEAT_MS = 3000;
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+export function useDriftCorrection({ roomId, enabled, player, onResync }) {
+  const [driftMs, setDriftMs]         = useState(null);
+  const [roomDriftMs, setRoomDriftMs] = useState(null);
+  const [corrections, setCorrections] = useState(0);
+
+  // Callbacks change identity with the token/provider — keep the interval stable
+  const playerRef   = useRef(player);
+  const onResyncRef = useRef(onResync);
+  useEffect(() => { playerRef.current = player; }, [player]);
+  useEffect(() => { onResyncRef.current = onResync; }, [onResync]);
+
+  useEffect(() => socketService.on(SERVER_EVENTS.DRIFT_STATS, data => {
+    if (data?.roomId === roomId) setRoomDriftMs(data.maxDriftMs);
+  }), [roomId]);
+
+  useEffect(() => {
+    if (!enabled) { setDriftMs(null); return; }
+
+    let busy = false;
+    let cooldownUntil = 0;
+
+    const correct = async ({ correction, driftMs: drift, state }) => {
+      const { pause, resume, seek } = playerRef.current;
+      if (correction === "nudge") {
+        await pause();
+        await sleep(drift);
+        await resume();
+      } else if (correction === "seek") {
+        const targetMs = state.positionMs + (socketService.serverNow() - state.updatedAt);
+        await seek(targetMs).catch(() => { });
+      } else if (correction === "resync") {
+        await onResyncRef.current?.(state);
+      }
+    };
+
+    const tick = async () => {
+      if (busy || Date.now() < cooldownUntil) return;
+      busy = true;
+      try {
+        const sample = await playerRef.current.getPosition();
+        if (!sample || sample.paused) return;
+
+        const res = await socketService.reportPosition(roomId, sample);
+        if (res.driftMs !== null) setDriftMs(res.driftMs);
+        if (!res.correction) return;
+
+        await correct(res);
+        setCorrections(n => n + 1);
+        // Let the player settle before measuring again
+        cooldownUntil = Date.now() + HEARTBEAT_MS;
+      } catch {
+        // Missed heartbeat — the next one will try again
+      } finally {
+        busy = false;
+      }
+    };
+
+    const id = setInterval(tick, HEARTBEAT_MS);
+    return () => clearInterval(id);
+  }, [enabled, roomId]);
+
+  return { driftMs, roomDriftMs, corrections };
+}
@@ -0,0 +1,170 @@
+/**
+ * src/hooks/useFollowAlongProvider.js
+ *
+ * Follow-along — the provider for Spotify Free listeners (see usePlayback for
+ * the interface). Free accounts can't play through the Web Playback SDK or be
+ * controlled over Spotify Connect, so this runs a clock on the room's track:
+ *   - while the room is inside the track's 30-second preview_url, the preview
+ *     plays in sync through an <audio> element, kept on the clock by a drift
+ *     check of its own
+ *   - otherwise there's nothing to hear here, and the UI offers a link to open
+ *     the track in Spotify at the room's position
+ * Position, track ends, the queue and reactions all work as for everyone else.
+ *
+ * Exports:
+ *   useFollowAlongProvider(accessToken) → provider (kind "follow") + { preview }
+ *     preview — { hasPreview, previewing }: whether the track has a preview,
+ *               and whether it's audible right now
+ */
+
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { spotifyGetTrack } from "./useSpotifyPlayer";
+import { isSpotifyUri } from "./useSpotifyProvider";
+
+const DEFAULT_VOLUME = 0.7;
+const PREVIEW_MS     = 30000;
+// The clock is the room's position, so the preview is measured against it here
+// rather than through the server heartbeat — whose nudges would pause the clock
+// too. Same cadence as useDriftCorrection; a seek past this much drift.
+const PREVIEW_CHECK_MS = 3000;
+const PREVIEW_DRIFT_MS = 250;
+
+export function useFollowAlongProvider(accessToken) {
+  const [volume, setVolumeState] = useState(DEFAULT_VOLUME);
+  const [preview, setPreview]    = useState({ hasPreview: false, previewing: false });
+
+  const tokenRef     = useRef(accessToken);
+  const audioRef     = useRef(null);
+  const tracksRef    = useRef(new Map()); // uri → track, fetched once each
+  const listenersRef = useRef(new Set());
+  const endTimerRef  = useRef(null);
+  // The room's track as this tab follows it; positionMs is as of `at`
+  const clockRef     = useRef({ track: null, positionMs: 0, at: Date.now(), isPlaying: false });
+  useEffect(() => { tokenRef.current = accessToken; }, [accessToken]);
+
+  const position = useCallback((now = Date.now()) => {
+    const c = clockRef.current;
+    if (!c.track) return 0;
+    const elapsed = c.isPlaying ? now - c.at : 0;
+    return Math.min(c.positionMs + elapsed, c.track.duration_ms || Infinity);
+  }, []);
+
+  const emit = useCallback(() => {
+    const c = clockRef.current;
+    const state = c.track && {
+      track:       c.track,
+      positionMs:  position(),
+      durationMs:  c.track.duration_ms,
+      isPlaying:   c.isPlaying,
+      isBuffering: false,
+      at:          Date.now(),
+    };
+    listenersRef.current.forEach(fn => fn(state));
+  }, [position]);
+
+  // The preview is audible only while the room's position is inside it
+  const syncPreview = useCallback(() => {
+    const audio = audioRef.current;
+    const c     = clockRef.current;
+    if (!audio) return;
+    const url    = c.track?.preview_url;
+    const atMs   = position();
+    const within = !!url && atMs < PREVIEW_MS; // a shorter preview just ends early
+
+    setPreview({ hasPreview: !!url, previewing: within && c.isPlaying });
+    if (!within || !c.isPlaying) { audio.pause(); return; }
+    if (audio.src !== url) audio.src = url;
+    audio.currentTime = atMs / 1000;
+    return audio.play();
+  }, [position]);
+
+  // Every clock change goes through here: pin the position, re-arm the end, notify
+  const update = useCallback(changes => {
+    const now = Date.now();
+    Object.assign(clockRef.current, { positionMs: position(now), at: now }, changes);
+
+    clearTimeout(endTimerRef.current);
+    const c = clockRef.current;
+    if (c.isPlaying && c.track?.duration_ms) {
+      // Like Spotify: stop at the top of the finished track, so the end is detected
+      endTimerRef.current = setTimeout(() => {
+        Object.assign(clockRef.current, { positionMs: 0, at: Date.now(), isPlaying: false });
+        syncPreview();
+        emit();
+      }, c.track.duration_ms - c.positionMs);
+    }
+    emit();
+    return syncPreview();
+  }, [position, syncPreview, emit]);
+
+  useEffect(() => {
+    const audio = new Audio();
+    audio.volume = DEFAULT_VOLUME;
+    audioRef.current = audio;
+    // The preview ran out — the room plays on in Spotify
+    const onEnded = () => setPreview(p => ({ ...p, previewing: false }));
+    audio.addEventListener("ended", onEnded);
+
+    // Buffering and a slow start leave the preview behind the clock — seek it back
+    const check = setInterval(() => {
+      if (audio.paused || audio.seeking || !clockRef.current.isPlaying) return;
+      const driftMs = audio.currentTime * 1000 - position();
+      if (Math.abs(driftMs) > PREVIEW_DRIFT_MS) audio.currentTime = position() / 1000;
+    }, PREVIEW_CHECK_MS);
+
+    return () => {
+      clearTimeout(endTimerRef.current);
+      clearInterval(check);
+      audio.removeEventListener("ended", onEnded);
+      audio.pause();
+      audio.removeAttribute("src");
+      audioRef.current = null;
+    };
+  }, [position]);
+
+  const trackFor = useCallback(async uri => {
+    const known = tracksRef.current.get(uri);
+    if (known) return known;
+    const track = await spotifyGetTrack(tokenRef.current, uri);
+    tracksRef.current.set(uri, track);
+    return track;
+  }, []);
+
+  const play = useCallback(async (uri, positionMs) => {
+    const track = uri ? await trackFor(uri) : clockRef.current.track;
+    await update({ track, isPlaying: true, ...(positionMs !== undefined && { positionMs }) });
+  }, [trackFor, update]);
+
+  const load = useCallback(async (uri, positionMs) => {
+    const track = uri ? await trackFor(uri) : clockRef.current.track;
+    update({ track, positionMs, isPlaying: false });
+  }, [trackFor, update]);
+
+  const pause  = useCallback(async () => { update({ isPlaying: false }); }, [update]);
+  const resume = useCallback(async () => { await update({ isPlaying: !!clockRef.current.track }); }, [update]);
+  const seek   = useCallback(async positionMs => { await update({ positionMs: Math.max(0, positionMs) }); }, [update]);
+
+  // The clock is the room's position — there's no drift to measure
+  const getPosition = useCallback(async () => null, []);
+
+  const setVolume = useCallback(v => {
+    setVolumeState(v);
+    if (audioRef.current) audioRef.current.volume = v;
+  }, []);
+
+  const onStateChange = useCallback(handler => {
+    listenersRef.current.add(handler);
+    return () => listenersRef.current.delete(handler);
+  }, []);
+
+  return useMemo(() => ({
+    kind:    "follow",
+    label:   "Follow-along",
+    ready:   true,
+    error:   null,
+    canPlay: isSpotifyUri,
+    play, load, pause, resume, seek, getPosition,
+    volume, setVolume, onStateChange,
+    preview,
+  }), [play, load, pause, resume, seek, getPosition, volume, setVolume, onStateChange, preview]);
+}
@@ -0,0 +1,120 @@
+/**
+ * src/hooks/usePlayback.js
+ *
+ * The one playback object Room talks to. Providers share this interface:
+ *
+ *   kind, label         — "spotify" | "audio" | "follow", and what to call it in the UI
+ *   ready, error        — can take commands now / why it can't
+ *   canPlay(uri)        — whether this provider plays that track URI
+ *   play(uri?, posMs?)  — start; loads uri first unless it's already current
+ *   load(uri?, posMs)   — load and park paused on posMs, ready for resume()
+ *   resume()            — start from where it's parked, with no network round trip
+ *   pause(), seek(posMs)
+ *   getPosition()       → { positionMs, paused, trackUri } | null
+ *   volume, setVolume(v)
+ *   onStateChange(fn)   — fn({ track, positionMs, durationMs, isPlaying, isBuffering, at })
+ *                         or fn(null) when it stops playing here; returns unsubscribe
+ *
+ * usePlayback routes each call by track URI — spotify:… to Spotify (or, on a
+ * Free account, to follow-along), files and URLs to <audio> — and pauses the
+ * other provider when it switches.
+ *
+ * Exports:
+ *   usePlayback(accessToken) → provider interface + { spotify, audio, follow, providerFor }
+ *   describePlaybackError(err) → a message worth showing the user
+ */
+
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { useSpotifyProvider } from "./useSpotifyProvider";
+import { useAudioProvider, MissingFileError } from "./useAudioProvider";
+import { useFollowAlongProvider } from "./useFollowAlongProvider";
+import { SpotifyApiError, describeSpotifyError } from "../spotifyApi";
+
+export function describePlaybackError(err) {
+  if (err instanceof SpotifyApiError)  return describeSpotifyError(err);
+  if (err instanceof MissingFileError) return err.message;
+  // Browsers only let audio start after the user has interacted with the page
+  if (err?.name === "NotAllowedError") return "Your browser blocked playback — tap ▶ to start listening.";
+  return err?.message || "Playback failed. Try again.";
+}
+
+export function usePlayback(accessToken) {
+  const spotify = useSpotifyProvider(accessToken);
+  const audio   = useAudioProvider();
+  const follow  = useFollowAlongProvider(accessToken);
+
+  const [activeKind, setActiveKind] = useState("spotify");
+  const providersRef = useRef({ spotify, audio, follow });
+  const activeRef    = useRef(activeKind);
+  useEffect(() => { providersRef.current = { spotify, audio, follow }; }, [spotify, audio, follow]);
+
+  const providerFor = useCallback(uri => {
+    const { spotify, audio, follow } = providersRef.current;
+    if (audio.canPlay(uri)) return audio;
+    return spotify.premiumRequired ? follow : spotify;
+  }, []);
+
+  // A Free account can't play Spotify here — follow along from the start
+  useEffect(() => {
+    if (!spotify.premiumRequired || activeRef.current !== "spotify") return;
+    activeRef.current = "follow";
+    setActiveKind("follow");
+  }, [spotify.premiumRequired]);
+
+  const active = useCallback(() => providersRef.current[activeRef.current], []);
+
+  // Switching providers — the one we leave stops, so only one is ever audible
+  const activate = useCallback(provider => {
+    if (activeRef.current === provider.kind) return provider;
+    const previous = active();
+    if (previous.ready) Promise.resolve(previous.pause()).catch(() => { });
+    activeRef.current = provider.kind;
+    setActiveKind(provider.kind);
+    return provider;
+  }, [active]);
+
+  const play = useCallback((uri, positionMs) =>
+    (uri ? activate(providerFor(uri)) : active()).play(uri, positionMs), [activate, providerFor, active]);
+  const load = useCallback((uri, positionMs) =>
+    (uri ? activate(providerFor(uri)) : active()).load(uri, positionMs), [activate, providerFor, active]);
+
+  const pause       = useCallback(() => active().pause(), [active]);
+  const resume      = useCallback(() => active().resume(), [active]);
+  const seek        = useCallback(positionMs => active().seek(positionMs), [active]);
+  const getPosition = useCallback(() => active().getPosition(), [active]);
+
+  // One volume for all, so switching source doesn't jump
+  const { setVolume: setSpotifyVolume } = spotify;
+  const { setVolume: setAudioVolume }   = audio;
+  const { setVolume: setFollowVolume }  = follow;
+  const setVolume = useCallback(v => {
+    setSpotifyVolume(v); setAudioVolume(v); setFollowVolume(v);
+  }, [setSpotifyVolume, setAudioVolume, setFollowVolume]);
+
+  // Only the active provider speaks for "what's playing"
+  const { onStateChange: onSpotifyState } = spotify;
+  const { onStateChange: onAudioState }   = audio;
+  const { onStateChange: onFollowState }  = follow;
+  const onStateChange = useCallback(handler => {
+    const offs = [
+      onSpotifyState(state => { if (activeRef.current === "spotify") handler(state); }),
+      onAudioState(state => { if (activeRef.current === "audio") handler(state); }),
+      onFollowState(state => { if (activeRef.current === "follow") handler(state); }),
+    ];
+    return () => offs.forEach(fn => fn());
+  }, [onSpotifyState, onAudioState, onFollowState]);
+
+  const current = { spotify, audio, follow }[activeKind];
+
+  return useMemo(() => ({
+    kind:    current.kind,
+    label:   current.label,
+    ready:   current.ready,
+    error:   current.error,
+    canPlay: uri => spotify.canPlay(uri) || audio.canPlay(uri),
+    play, load, pause, resume, seek, getPosition,
+    volume:  audio.volume,
+    setVolume, onStateChange,
+    spotify, audio, follow, providerFor,
+  }), [current, spotify, audio, follow, play, load, pause, resume, seek, getPosition, setVolume, onStateChange, providerFor]);
+}
@@ -0,0 +1,186 @@
+/**
+ * src/hooks/usePlaybackState.js
+ *
+ * One view of "what's playing", from the best source available:
+ *   "player" — a playback provider in this tab is playing: its state events
+ *              (Web Playback SDK or <audio>), accurate to the event
+ *   "poll"   — playback is on another Spotify device (or nothing is up here):
+ *              REST polling with an adaptive interval, ETag revalidation and
+ *              error backoff
+ *
+ * Neither source has a reliable "ended" event, so end-of-track is inferred here.
+ *
+ * Exports:
+ *   usePlaybackState({ accessToken, player, onTrackEnd?, onTokenExpired? })
+ *     → { track, progressMs, durationMs, isPlaying, isBuffering, source }
+ *     player — { onStateChange } from usePlayback
+ */
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import spotifyApi from "../spotifyApi";
+
+const TICK_MS = 500;
+
+// Poll pacing — playing tracks are checked again around their end
+const POLL_PLAYING_MS = 5000;
+const POLL_IDLE_MS    = 10000;
+const POLL_HIDDEN_MS  = 15000;
+const POLL_MIN_MS     = 1000;
+const BACKOFF_MAX_MS  = 60000;
+
+// How close to its end a track must have been for a stop/change to count as
+// finishing; polls see the change up to one interval late
+const PLAYER_END_WINDOW_MS = 3000;
+const POLL_END_WINDOW_MS   = POLL_PLAYING_MS + 1000;
+
+const EMPTY = { track: null, positionMs: 0, durationMs: 0, isPlaying: false, isBuffering: false, at: 0 };
+
+// → the providers' snapshot shape; positionMs is as of `at` (local clock)
+function fromRest(data) {
+  if (!data) return EMPTY;
+  return {
+    track:       data.item ?? null,
+    positionMs:  data.progress_ms ?? 0,
+    durationMs:  data.item?.duration_ms ?? 0,
+    isPlaying:   data.is_playing ?? false,
+    isBuffering: false,
+    at:          Date.now(),
+  };
+}
+
+function projectedPosition(s, now = Date.now()) {
+  const elapsed = s.isPlaying && !s.isBuffering ? Math.max(0, now - s.at) : 0;
+  return Math.min(s.positionMs + elapsed, s.durationMs || Infinity);
+}
+
+export function usePlaybackState({ accessToken, player, onTrackEnd, onTokenExpired }) {
+  const [snapshot, setSnapshot] = useState(EMPTY);
+  const [progressMs, setProgressMs] = useState(0);
+  const [playerActive, setPlayerActive] = useState(false);
+
+  const lastRef = useRef(EMPTY);
+  const onTrackEndRef = useRef(onTrackEnd);
+  const onTokenExpiredRef = useRef(onTokenExpired);
+  useEffect(() => { onTrackEndRef.current = onTrackEnd; }, [onTrackEnd]);
+  useEffect(() => { onTokenExpiredRef.current = onTokenExpired; }, [onTokenExpired]);
+
+  // Every update from either source goes through here
+  const accept = useCallback((next, endWindowMs) => {
+    const prev = lastRef.current;
+    const prevUri = prev.track?.uri ?? null;
+    const nextUri = next.track?.uri ?? null;
+
+    // The track that was playing reached its end and is now stopped at 0 or replaced
+    if (prev.isPlaying && prevUri && prev.durationMs) {
+      const reached = projectedPosition({ ...prev, isBuffering: false });
+      const moved = nextUri !== prevUri || (!next.isPlaying && next.positionMs === 0);
+      if (reached >= prev.durationMs - endWindowMs && moved) onTrackEndRef.current?.(prevUri);
+    }
+
+    lastRef.current = next;
+    setSnapshot(next);
+    setProgressMs(projectedPosition(next));
+  }, []);
+
+  // ── Player events — authoritative while something plays in this tab ───────
+  const onStateChange = player?.onStateChange;
+  useEffect(() => {
+    if (!onStateChange) return;
+    return onStateChange(state => {
+      // null: playback moved to another device (or the player went away)
+      setPlayerActive(!!state);
+      if (state) accept(state, PLAYER_END_WINDOW_MS);
+    });
+  }, [onStateChange, accept]);
+
+  // ── REST polling — only while no player here can see the playback ─────────
+  useEffect(() => {
+    if (!accessToken || playerActive) return;
+
+    let timer = null;
+    let stopped = false;
+    let etag = null;
+    let failures = 0;
+
+    const nextDelay = () => {
+      if (document.hidden) return POLL_HIDDEN_MS;
+      const s = lastRef.current;
+      if (!s.isPlaying) return POLL_IDLE_MS;
+      // Land just after the track should end, so auto-advance isn't a full interval late
+      const remaining = s.durationMs - projectedPosition(s);
+      return Math.max(POLL_MIN_MS, Math.min(POLL_PLAYING_MS, remaining + 500));
+    };
+
+    const schedule = ms => { if (!stopped) timer = setTimeout(poll, ms); };
+
+    const poll = async () => {
+      try {
+        const res = await spotifyApi.fetch("/me/player/currently-playing", {
+          token: accessToken, headers: etag ? { "If-None-Match": etag } : {},
+        });
+        if (stopped) return;
+
+        // A new token restarts this effect; until one arrives, keep polling with backoff
+        if (res.status === 401) {
+          onTokenExpiredRef.current?.();
+          failures++;
+          return schedule(Math.min(BACKOFF_MAX_MS, POLL_PLAYING_MS * 2 ** failures));
+        }
+        if (res.status === 429 || res.status >= 500) {
+          const retryAfter = Number(res.headers.get("Retry-After")) * 1000;
+          failures++;
+          return schedule(Math.max(retryAfter || 0, Math.min(BACKOFF_MAX_MS, POLL_PLAYING_MS * 2 ** failures)));
+        }
+
+        failures = 0;
+        if (res.status === 304) return schedule(nextDelay()); // unchanged since last poll
+        etag = res.headers.get("ETag");
+        accept(res.status === 204 ? EMPTY : fromRest(await res.json()), POLL_END_WINDOW_MS);
+        schedule(nextDelay());
+      } catch {
+        if (stopped) return;
+        failures++;
+        schedule(Math.min(BACKOFF_MAX_MS, POLL_PLAYING_MS * 2 ** failures));
+      }
+    };
+
+    // Coming back to the tab — don't wait out the hidden interval
+    const onVisible = () => {
+      if (document.hidden) return;
+      clearTimeout(timer);
+      poll();
+    };
+
+    poll();
+    document.addEventListener("visibilitychange", onVisible);
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      document.removeEventListener("visibilitychange", onVisible);
+    };
+  }, [accessToken, playerActive, accept]);
+
+  // Logged out — nothing is playing
+  useEffect(() => {
+    if (accessToken) return;
+    lastRef.current = EMPTY;
+    setSnapshot(EMPTY);
+    setProgressMs(0);
+  }, [accessToken]);
+
+  // ── Progress between updates ───────────────────────────────────────────────
+  useEffect(() => {
+    if (!snapshot.isPlaying || snapshot.isBuffering) return;
+    const t = setInterval(() => setProgressMs(projectedPosition(lastRef.current)), TICK_MS);
+    return () => clearInterval(t);
+  }, [snapshot]);
+
+  return {
+    track:       snapshot.track,
+    progressMs,
+    durationMs:  snapshot.durationMs,
+    isPlaying:   snapshot.isPlaying,
+    isBuffering: snapshot.isBuffering,
+    source:      playerActive ? "player" : "poll",
+  };
+}
@@ -1,9 +1,19 @@
-import { useEffect, useState, useCallback, useRef } from "react";
-
-const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || "http://127.0.0.1:5000";
+import { useEffect, useState } from "react";
+import spotifyApi from "../spotifyApi";
+import { BACKEND_URL } from "../config";
+
+// invite: { room, token } — an invite link to come back to after logging in
+export function loginWithSpotify(invite) {
+  const params = new URLSearchParams();
+  if (invite?.room)  params.set("room", invite.room);
+  if (invite?.token) params.set("invite", invite.token);
+  const query = params.size ? `?${params}` : "";
+  window.location.href = `${BACKEND_URL}/login${query}`;
+}
 
-export function loginWithSpotify() {
-  window.location.href = `${BACKEND_URL}/login`;
+// A plain link to the room — Room shares the server's signed invite once it has one
+export function roomInviteUrl(roomId) {
+  return `${window.location.origin}/?${new URLSearchParams({ room: roomId })}`;
 }
 
 export function fmtMs(ms) {
@@ -12,20 +22,20 @@ export function fmtMs(ms) {
   return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
 }
 
-export function useSpotify(accessToken, onTokenExpired) {
-  const [track, setTrack] = useState(null);
-  const [progressMs, setProgressMs] = useState(0);
-  const [durationMs, setDurationMs] = useState(0);
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [profile, setProfile] = useState(null);
-
-  const interpolatorRef = useRef(null);
-  const lastPollRef = useRef({ progressMs: 0, ts: 0, playing: false });
+// → { name, avatarUrl, product } or null; product is "premium" | "free" | "open"
+export async function fetchSpotifyProfile(accessToken) {
+  const data = await spotifyApi.request("/me", { token: accessToken }).catch(() => null);
+  if (!data) return null;
+  return {
+    name: data.display_name || "Listener",
+    avatarUrl: data.images?.[0]?.url ?? null,
+    product: data.product ?? null
+  };
+}
 
-  const authHeaders = useCallback(
-    () => ({ Authorization: `Bearer ${accessToken}` }),
-    [accessToken]
-  );
+// Playback state lives in usePlaybackState; this is just who's logged in
+export function useSpotifyProfile(accessToken) {
+  const [profile, setProfile] = useState(null);
 
   // Fetch profile once per token
   useEffect(() => {
@@ -34,98 +44,10 @@ export function useSpotify(accessToken, onTokenExpired) {
       return;
     }
 
-    fetch("https://api.spotify.com/v1/me", { headers: authHeaders() })
-      .then(r => (r.ok ? r.json() : null))
-      .then(data => {
-        if (!data) return;
-        setProfile({
-          name: data.display_name || "Listener",
-          avatarUrl: data.images?.[0]?.url ?? null
-        });
-      })
+    fetchSpotifyProfile(accessToken)
+      .then(data => data && setProfile(data))
       .catch(() => {});
-  }, [accessToken, authHeaders]);
-
-  // Poll current track + interpolate progress
-  useEffect(() => {
-    if (!accessToken) {
-      setTrack(null);
-      setProgressMs(0);
-      setDurationMs(0);
-      setIsPlaying(false);
-      clearInterval(interpolatorRef.current);
-      return;
-    }
-
-    const handle401 = () => {
-      console.warn("[useSpotify] 401");
-      onTokenExpired?.();
-    };
-
-    const fetchTrack = async () => {
-      try {
-        const res = await fetch(
-          "https://api.spotify.com/v1/me/player/currently-playing",
-          { headers: authHeaders() }
-        );
+  }, [accessToken]);
 
-        if (res.status === 401) {
-          handle401();
-          return;
-        }
-
-        if (res.status === 204) {
-          setTrack(null);
-          setIsPlaying(false);
-          lastPollRef.current = {
-            progressMs: 0,
-            ts: Date.now(),
-            playing: false
-          };
-          return;
-        }
-
-        if (!res.ok) return;
-
-        const data = await res.json();
-
-        const prog = data.progress_ms ?? 0;
-        const dur = data.item?.duration_ms ?? 0;
-        const play = data.is_playing ?? false;
-
-        setTrack(data.item ?? null);
-        setDurationMs(dur);
-        setIsPlaying(play);
-        setProgressMs(prog);
-
-        lastPollRef.current = {
-          progressMs: prog,
-          ts: Date.now(),
-          playing: play
-        };
-      } catch (err) {
-        console.error("[useSpotify] error:", err);
-      }
-    };
-
-    fetchTrack();
-    const pollInterval = setInterval(fetchTrack, 5000);
-
-    interpolatorRef.current = setInterval(() => {
-      const { progressMs: base, ts, playing } = lastPollRef.current;
-      if (!playing) return;
-
-      setProgressMs(prev => {
-        const inferred = base + (Date.now() - ts);
-        return inferred > prev ? inferred : prev;
-      });
-    }, 500);
-
-    return () => {
-      clearInterval(pollInterval);
-      clearInterval(interpolatorRef.current);
-    };
-  }, [accessToken, authHeaders, onTokenExpired]);
-
-  return { track, progressMs, durationMs, isPlaying, profile };
-}
\ No newline at end of file
+  return profile;
+}
@@ -0,0 +1,88 @@
+/**
+ * src/hooks/useSpotifyDevices.js
+ *
+ * Spotify Connect device picker — which device the room's playback commands
+ * target. Starts on this browser's player, unless an earlier pick (a phone,
+ * speaker, desktop app…) is still online; picks are remembered per browser.
+ *
+ * Exports:
+ *   useSpotifyDevices(accessToken, browserDeviceId)
+ *     → { devices, targetId, target, loading, error, refresh, select }
+ *     devices  — /me/player/devices, as of the last refresh()
+ *     targetId — the chosen device's id; null while the browser player is
+ *                chosen but not connected (yet)
+ *     select(deviceId) — transfer playback there and make it the target
+ */
+
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { spotifyGetDevices, spotifyTransferPlayback } from "./useSpotifyPlayer";
+import { describeSpotifyError } from "../spotifyApi";
+
+const STORAGE_KEY = "duofy_device";
+const BROWSER     = "browser"; // the choice that follows this tab's SDK device id
+
+export function useSpotifyDevices(accessToken, browserDeviceId) {
+  const [devices, setDevices] = useState([]);
+  const [choice, setChoice]   = useState(null); // BROWSER | a Connect device id
+  const [loading, setLoading] = useState(false);
+  const [error, setError]     = useState(null);
+
+  const tokenRef = useRef(accessToken);
+  useEffect(() => { tokenRef.current = accessToken; }, [accessToken]);
+
+  const refresh = useCallback(async () => {
+    if (!tokenRef.current) return [];
+    setLoading(true);
+    try {
+      const list = await spotifyGetDevices(tokenRef.current);
+      setDevices(list);
+      setError(null);
+      return list;
+    } catch (err) {
+      setError(describeSpotifyError(err));
+      return [];
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // First choice: the remembered device if it's online, otherwise this browser
+  useEffect(() => {
+    if (!accessToken || choice) return;
+    let cancelled = false;
+    refresh().then(list => {
+      if (cancelled) return;
+      const saved = localStorage.getItem(STORAGE_KEY);
+      setChoice(saved && saved !== BROWSER && list.some(d => d.id === saved) ? saved : BROWSER);
+    });
+    return () => { cancelled = true; };
+  }, [accessToken, choice, refresh]);
+
+  const targetId = choice === BROWSER ? browserDeviceId : choice;
+
+  // Move playback to the target (without starting it) whenever the target changes
+  useEffect(() => {
+    if (!targetId) return;
+    spotifyTransferPlayback(tokenRef.current, targetId)
+      .then(() => setError(null))
+      .catch(err => setError(describeSpotifyError(err)));
+  }, [targetId]);
+
+  const select = useCallback(deviceId => {
+    const next = deviceId === browserDeviceId ? BROWSER : deviceId;
+    localStorage.setItem(STORAGE_KEY, next);
+    setChoice(next);
+  }, [browserDeviceId]);
+
+  // The browser player is always listed, even before Spotify's list catches up
+  const listed = useMemo(() => {
+    if (!browserDeviceId || devices.some(d => d.id === browserDeviceId)) return devices;
+    return [{ id: browserDeviceId, name: "Duo-fy", type: "Computer", is_active: false }, ...devices];
+  }, [devices, browserDeviceId]);
+
+  const target = listed.find(d => d.id === targetId) ?? null;
+
+  return useMemo(() => ({
+    devices: listed, targetId, target, loading, error, refresh, select,
+  }), [listed, targetId, target, loading, error, refresh, select]);
+}
@@ -3,17 +3,31 @@
  *
  * Spotify Web Playback SDK — creates a real browser audio player.
  * Requires Spotify Premium. Without it, playerError is set to a clear message.
+ * In demo mode the SDK is replaced by the silent DemoPlayer (src/demo).
  *
  * Exports:
- *   useSpotifyPlayer(accessToken) → { deviceId, playerReady, playerError, volume, setVolume }
+ *   useSpotifyPlayer(accessToken) → { deviceId, playerReady, playerError, premiumRequired, volume, setVolume,
+ *                                     getPlaybackPosition, pausePlayer, resumePlayer, onStateChange }
+ *     premiumRequired — the account is Spotify Free (the SDK's account_error)
+ *     onStateChange(handler) — SDK player_state_changed feed (null when playback left
+ *                              this device); returns an unsubscribe function
+ *   spotifyGetDevices(accessToken) → Spotify Connect devices
+ *   spotifyGetTrack(accessToken, trackUri) → track object (works on Free accounts)
+ *   spotifyTransferPlayback(accessToken, deviceId, play?)
  *   spotifyPlay(accessToken, deviceId?, options?)
- *   spotifyPause(accessToken)
+ *   spotifyPause(accessToken, deviceId?)
+ *   spotifySeek(accessToken, positionMs, deviceId?)
+ *   spotifySkipNext(accessToken, deviceId?) / spotifySkipPrev(accessToken, deviceId?)
+ *   deviceId, where taken, targets that device instead of the active one
  *   spotifyAddToQueue(accessToken, trackUri)
  *   spotifySearch(accessToken, query, limit?)
  *   spotifyGetQueue(accessToken)
+ *   All REST helpers go through spotifyApi and reject with its typed errors.
  */
 
 import { useEffect, useState, useRef, useCallback } from "react";
+import spotifyApi from "../spotifyApi";
+import { IS_DEMO, DemoPlayer } from "../demo/demoSpotify";
 
 const SDK_URL = "https://sdk.scdn.co/spotify-player.js";
 const PLAYER_NAME = "Duo-fy";
@@ -22,19 +36,23 @@ export function useSpotifyPlayer(accessToken) {
   const [deviceId, setDeviceId] = useState(null);
   const [playerReady, setPlayerReady] = useState(false);
   const [playerError, setPlayerError] = useState(null);
+  const [premiumRequired, setPremiumRequired] = useState(false);
   const [volume, setVolumeState] = useState(0.7);
 
   const playerRef = useRef(null);
   const tokenRef = useRef(accessToken);
   useEffect(() => { tokenRef.current = accessToken; }, [accessToken]);
+  const stateListenersRef = useRef(new Set());
 
   useEffect(() => {
     if (!accessToken) return;
+    const stateListeners = stateListenersRef.current;
 
     const init = () => {
       if (playerRef.current) return;
 
-      const player = new window.Spotify.Player({
+      const Player = IS_DEMO ? DemoPlayer : window.Spotify.Player;
+      const player = new Player({
         name: PLAYER_NAME,
         getOAuthToken: cb => cb(tokenRef.current),
         volume: 0.7,
@@ -46,24 +64,29 @@ export function useSpotifyPlayer(accessToken) {
         setDeviceId(device_id);
         setPlayerReady(true);
         setPlayerError(null);
-        // Transfer playback to browser (don't auto-start)
-        fetch("https://api.spotify.com/v1/me/player", {
-          method: "PUT",
-          headers: { Authorization: `Bearer ${tokenRef.current}`, "Content-Type": "application/json" },
-          body: JSON.stringify({ device_ids: [device_id], play: false }),
-        }).catch(() => { });
+        // Whether playback moves here is up to the device picker (useSpotifyDevices)
       });
 
-      player.addListener("not_ready", () => { setPlayerReady(false); setDeviceId(null); });
+      player.addListener("not_ready", () => {
+        setPlayerReady(false); setDeviceId(null);
+        stateListeners.forEach(fn => fn(null));
+      });
       player.addListener("initialization_error", () => setPlayerError("Player failed to initialize. Try refreshing."));
       player.addListener("authentication_error", () => setPlayerError("Spotify authentication failed. Please log in again."));
-      player.addListener("account_error", () => setPlayerError("Spotify Premium is required to play audio in the browser."));
+      player.addListener("account_error", () => {
+        setPlayerError("Spotify Premium is required to play audio in the browser.");
+        setPremiumRequired(true);
+      });
       player.addListener("playback_error", ({ message }) => console.warn("[SDK] Playback error:", message));
 
+      player.addListener("player_state_changed", state => {
+        stateListeners.forEach(fn => fn(state));
+      });
+
       player.connect();
     };
 
-    if (window.Spotify) {
+    if (IS_DEMO || window.Spotify) {
       init();
     } else if (!document.getElementById("spotify-sdk")) {
       window.onSpotifyWebPlaybackSDKReady = init;
@@ -81,6 +104,7 @@ export function useSpotifyPlayer(accessToken) {
       playerRef.current = null;
       setDeviceId(null);
       setPlayerReady(false);
+      stateListeners.forEach(fn => fn(null));
     };
   }, [accessToken]);
 
@@ -89,78 +113,94 @@ export function useSpotifyPlayer(accessToken) {
     playerRef.current?.setVolume(v).catch(() => { });
   }, []);
 
-  return { deviceId, playerReady, playerError, volume, setVolume };
+  // Live SDK position — state.position is as of state.timestamp, so extrapolate while playing
+  const getPlaybackPosition = useCallback(async () => {
+    const state = await playerRef.current?.getCurrentState().catch(() => null);
+    if (!state) return null;
+    const elapsed = state.paused || !state.timestamp ? 0 : Math.max(0, Date.now() - state.timestamp);
+    return {
+      positionMs: Math.min(state.position + elapsed, state.duration || Infinity),
+      paused:     state.paused,
+      trackUri:   state.track_window?.current_track?.uri ?? null,
+    };
+  }, []);
+
+  // Local-only pause/resume — no REST round trip, used for small drift nudges
+  const pausePlayer  = useCallback(() => playerRef.current?.pause().catch(() => { }), []);
+  const resumePlayer = useCallback(() => playerRef.current?.resume().catch(() => { }), []);
+
+  const onStateChange = useCallback(handler => {
+    stateListenersRef.current.add(handler);
+    return () => stateListenersRef.current.delete(handler);
+  }, []);
+
+  return {
+    deviceId, playerReady, playerError, premiumRequired, volume, setVolume,
+    getPlaybackPosition, pausePlayer, resumePlayer, onStateChange,
+  };
 }
 
 // ── REST helpers ──────────────────────────────────────────────
+// Thin wrappers over spotifyApi — they reject with its typed errors
+// (PremiumRequiredError, NoActiveDeviceError, …) for the caller to surface.
 
-export async function spotifyPlay(accessToken, deviceId, options = {}) {
+export async function spotifyGetDevices(accessToken) {
+  const data = await spotifyApi.request("/me/player/devices", { token: accessToken });
+  // Devices without an id can't be targeted — Spotify lists some of those
+  return (data?.devices ?? []).filter(d => d.id);
+}
+
+export function spotifyGetTrack(accessToken, trackUri) {
+  return spotifyApi.request(`/tracks/${encodeURIComponent(trackUri.split(":")[2] ?? "")}`, { token: accessToken });
+}
+
+export function spotifyTransferPlayback(accessToken, deviceId, play = false) {
+  return spotifyApi.request("/me/player", {
+    token: accessToken, method: "PUT", body: { device_ids: [deviceId], play },
+  });
+}
+
+export function spotifyPlay(accessToken, deviceId, options = {}) {
   const body = {};
   if (options.uris) body.uris = options.uris;
   if (options.context_uri) body.context_uri = options.context_uri;
   if (options.offset) body.offset = options.offset;
   if (options.position_ms !== undefined) body.position_ms = options.position_ms;
 
-  return fetch(
-    `https://api.spotify.com/v1/me/player/play${deviceId ? `?device_id=${deviceId}` : ""}`,
-    {
-      method: "PUT",
-      headers: { Authorization: `Bearer ${accessToken}`, "Content-Type": "application/json" },
-      body: JSON.stringify(body),
-    }
-  );
+  return spotifyApi.request("/me/player/play", {
+    token: accessToken, method: "PUT", query: { device_id: deviceId }, body,
+  });
 }
 
-export async function spotifyPause(accessToken) {
-  return fetch("https://api.spotify.com/v1/me/player/pause", {
-    method: "PUT",
-    headers: { Authorization: `Bearer ${accessToken}` },
-  });
+export function spotifyPause(accessToken, deviceId) {
+  return spotifyApi.request("/me/player/pause", { token: accessToken, method: "PUT", query: { device_id: deviceId } });
 }
 
-export async function spotifyAddToQueue(accessToken, trackUri) {
-  return fetch(
-    `https://api.spotify.com/v1/me/player/queue?uri=${encodeURIComponent(trackUri)}`,
-    { method: "POST", headers: { Authorization: `Bearer ${accessToken}` } }
-  );
+export function spotifyAddToQueue(accessToken, trackUri) {
+  return spotifyApi.request("/me/player/queue", { token: accessToken, method: "POST", query: { uri: trackUri } });
 }
 
 export async function spotifySearch(accessToken, query, limit = 15) {
   if (!query?.trim()) return [];
-  const res = await fetch(
-    `https://api.spotify.com/v1/search?q=${encodeURIComponent(query)}&type=track&limit=${limit}`,
-    { headers: { Authorization: `Bearer ${accessToken}` } }
-  );
-  if (!res.ok) return [];
-  return (await res.json()).tracks?.items ?? [];
+  const data = await spotifyApi.request("/search", { token: accessToken, query: { q: query, type: "track", limit } });
+  return data?.tracks?.items ?? [];
 }
 
 export async function spotifyGetQueue(accessToken) {
-  const res = await fetch("https://api.spotify.com/v1/me/player/queue", {
-    headers: { Authorization: `Bearer ${accessToken}` },
-  });
-  if (!res.ok) return { currently_playing: null, queue: [] };
-  return res.json();
+  const data = await spotifyApi.request("/me/player/queue", { token: accessToken });
+  return data ?? { currently_playing: null, queue: [] };
 }
 
-export async function spotifySeek(accessToken, positionMs) {
-  if (positionMs < 0) positionMs = 0;
-  return fetch(
-    `https://api.spotify.com/v1/me/player/seek?position_ms=${Math.round(positionMs)}`,
-    { method: "PUT", headers: { Authorization: `Bearer ${accessToken}` } }
-  );
+export function spotifySeek(accessToken, positionMs, deviceId) {
+  return spotifyApi.request("/me/player/seek", {
+    token: accessToken, method: "PUT", query: { position_ms: Math.max(0, Math.round(positionMs)), device_id: deviceId },
+  });
 }
 
-export async function spotifySkipNext(accessToken) {
-  return fetch("https://api.spotify.com/v1/me/player/next", {
-    method: "POST",
-    headers: { Authorization: `Bearer ${accessToken}` },
-  });
+export function spotifySkipNext(accessToken, deviceId) {
+  return spotifyApi.request("/me/player/next", { token: accessToken, method: "POST", query: { device_id: deviceId } });
 }
 
-export async function spotifySkipPrev(accessToken) {
-  return fetch("https://api.spotify.com/v1/me/player/previous", {
-    method: "POST",
-    headers: { Authorization: `Bearer ${accessToken}` },
-  });
-}
\ No newline at end of file
+export function spotifySkipPrev(accessToken, deviceId) {
+  return spotifyApi.request("/me/player/previous", { token: accessToken, method: "POST", query: { device_id: deviceId } });
+}
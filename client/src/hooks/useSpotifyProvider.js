@@ -0,0 +1,116 @@
+/**
+ * src/hooks/useSpotifyProvider.js
+ *
+ * Spotify as a playback provider (see usePlayback for the interface): the
+ * Web API helpers, aimed at the device picked in useSpotifyDevices — this
+ * tab's Web Playback SDK player by default, or any Spotify Connect device.
+ * Requires Premium — without it `ready` stays false and `error` says why.
+ *
+ * Exports:
+ *   useSpotifyProvider(accessToken)
+ *     → provider (kind "spotify") + { deviceId, targetId, devices, premiumRequired }
+ *     deviceId — this tab's SDK player; targetId — where commands go
+ *     premiumRequired — a Free account: nothing here can play (see useFollowAlongProvider)
+ *   isSpotifyUri(uri)
+ */
+
+import { useCallback, useEffect, useMemo, useRef } from "react";
+import { useSpotifyPlayer, spotifyPlay, spotifyPause, spotifySeek } from "./useSpotifyPlayer";
+import { useSpotifyDevices } from "./useSpotifyDevices";
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+export function isSpotifyUri(uri) {
+  return typeof uri === "string" && uri.startsWith("spotify:");
+}
+
+// SDK player_state_changed → the provider snapshot shape; positionMs is as of `at`
+function fromSdk(state) {
+  const track = state.track_window?.current_track ?? null;
+  return {
+    track,
+    positionMs:  state.position ?? 0,
+    durationMs:  state.duration || track?.duration_ms || 0,
+    isPlaying:   !state.paused,
+    isBuffering: !!state.loading,
+    at:          state.timestamp || Date.now(),
+  };
+}
+
+export function useSpotifyProvider(accessToken) {
+  const {
+    deviceId, playerReady, playerError, premiumRequired, volume, setVolume,
+    getPlaybackPosition, pausePlayer, resumePlayer, onStateChange: onSdkState,
+  } = useSpotifyPlayer(accessToken);
+  const devices  = useSpotifyDevices(accessToken, deviceId);
+  const targetId = devices.targetId;
+  // A Connect device elsewhere — only REST reaches it, and the SDK can't see its state
+  const remote   = !!targetId && targetId !== deviceId;
+
+  // What the SDK says is loaded — decides between "start this track" and "carry on"
+  const currentUriRef = useRef(null);
+  useEffect(() => onSdkState(state => {
+    currentUriRef.current = state?.track_window?.current_track?.uri ?? null;
+  }), [onSdkState]);
+
+  const onStateChange = useCallback(handler =>
+    onSdkState(state => handler(state ? fromSdk(state) : null)), [onSdkState]);
+
+  // Start playing — uri loads that track unless it's already the current one
+  // (which only the SDK can tell us, so a remote device always gets the uri)
+  const play = useCallback(async (uri, positionMs) => {
+    if (uri && (remote || uri !== currentUriRef.current)) {
+      await spotifyPlay(accessToken, targetId, { uris: [uri], position_ms: positionMs });
+      return;
+    }
+    if (positionMs !== undefined) {
+      await spotifySeek(accessToken, positionMs, targetId);
+      // Brief settle so Spotify processes seek before play command
+      await sleep(80);
+    }
+    await spotifyPlay(accessToken, targetId);
+  }, [accessToken, targetId, remote]);
+
+  // Local SDK calls for this tab's player — instant, which drift nudges and
+  // scheduled starts rely on; a remote device only has REST
+  const pause = useCallback(
+    () => (remote ? spotifyPause(accessToken, targetId) : pausePlayer()),
+    [remote, accessToken, targetId, pausePlayer]
+  );
+  const resume = useCallback(
+    () => (remote ? spotifyPlay(accessToken, targetId) : resumePlayer()),
+    [remote, accessToken, targetId, resumePlayer]
+  );
+
+  // Load and park paused on positionMs — resume() then starts the track
+  const load = useCallback(async (uri, positionMs) => {
+    if (uri && (remote || uri !== currentUriRef.current)) {
+      await spotifyPlay(accessToken, targetId, { uris: [uri], position_ms: positionMs });
+    }
+    await pause();
+    await spotifySeek(accessToken, positionMs, targetId);
+  }, [accessToken, targetId, remote, pause]);
+
+  const seek = useCallback(positionMs => spotifySeek(accessToken, positionMs, targetId), [accessToken, targetId]);
+
+  // Connect devices report position too coarsely to drift-correct against —
+  // they keep Spotify's own timing once started
+  const getPosition = useCallback(
+    () => (remote ? Promise.resolve(null) : getPlaybackPosition()),
+    [remote, getPlaybackPosition]
+  );
+
+  return useMemo(() => ({
+    kind:        "spotify",
+    label:       remote ? devices.target?.name ?? "Spotify" : "Duo-fy Web",
+    ready:       remote || (playerReady && !!deviceId),
+    error:       playerError,
+    deviceId, targetId, devices, premiumRequired,
+    canPlay:     isSpotifyUri,
+    play, load, pause, resume, seek, getPosition,
+    volume, setVolume, onStateChange,
+  }), [
+    remote, playerReady, playerError, deviceId, targetId, devices, premiumRequired,
+    play, load, pause, resume, seek, getPosition, volume, setVolume, onStateChange,
+  ]);
+}
@@ -1,27 +1,70 @@
 /**
  * socket.js — Duo-fy Socket Service
  * Added: emitReaction, partner info on createRoom/joinRoom
+ * Added: requestState — authoritative room playback state from the server
+ * Added: emitSeek, emitTrack — routed through "control" like play/pause
+ * Added: NTP-style clock sync — serverNow(), measured RTT, onClockSync()
+ * Added: reportPosition — drift heartbeat
+ * Added: room session tokens — auto-resume the room after a reconnect/reload
+ * Added: group rooms — acked controls (may open a vote), host/settings/vote calls
+ * Added: member profile — sent on create/join/resume, kept current via setProfile
+ * Added: shared room queue — queueAdd/queueRemove/queueMove, emitNext
+ * Added: reportTrackEnd — lets the server auto-advance the room
+ * Added: clock pings carry our RTT — the server schedules starts around the slowest member
+ * Added: handshake auth — a /socket-token proves our Spotify login; room slots follow the account
+ * Added: server-minted room codes, signed invite links (createInvite, joinRoom with an invite)
+ * Added: room passcodes and locks — refusals reject with err.code (e.g. "wrong_passcode")
+ * Added: server-side validation and rate limits — "rate_limited" refusals carry err.retryAfterMs
+ * Added: shared, versioned protocol (shared/protocol.js) — a server on another version raises "protocol-mismatch"
  */
 
 import { io } from "socket.io-client";
+import { IS_DEMO, demoListener } from "./demo/demoSpotify";
+import { BACKEND_URL } from "./config";
+import {
+  PROTOCOL_VERSION, PROTOCOL_MISMATCH, CLIENT_EVENTS, SERVER_EVENTS, SERVER_PAYLOADS,
+} from "../../shared/protocol.js";
+import { validate } from "../../shared/schema.js";
 
-const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || "http://localhost:5000";
 const IS_DEV = import.meta.env.DEV;
 
+// ── Handshake auth ──────────────────────────────────────────
+// The server only takes sockets from logged-in users. A fresh short-lived token
+// on every (re)connect works even where the session cookie can't reach the
+// socket (frontend and backend on different origins). In demo mode each tab
+// is its own listener, so it says which one. The protocol version rides along
+// — a server on another one turns us away (see shared/protocol.js).
+async function fetchSocketToken() {
+  const query = IS_DEMO ? `?listener=${encodeURIComponent(demoListener.id)}` : "";
+  try {
+    const res = await fetch(`${BACKEND_URL}/socket-token${query}`, { credentials: "include" });
+    return res.ok ? (await res.json()).token : null;
+  } catch {
+    return null;
+  }
+}
+
 const socket = io(BACKEND_URL, {
   autoConnect:          false,
+  withCredentials:      true, // the session cookie is the fallback proof
+  auth:                 (cb) => fetchSocketToken().then((token) => cb({ protocol: PROTOCOL_VERSION, ...(token && { token }) })),
   transports:           ["websocket"],
   reconnection:         true,
-  reconnectionAttempts: 5,
+  // Keep trying — the server holds our room slot while we're away
+  reconnectionAttempts: Infinity,
   reconnectionDelay:    1500,
   reconnectionDelayMax: 5000,
   timeout:              10000,
 });
 
 if (IS_DEV) {
-  socket.onAny((event, ...args) =>
-    console.log(`[Duo-fy ↓] "${event}"`, ...args)
-  );
+  socket.onAny((event, ...args) => {
+    console.log(`[Duo-fy ↓] "${event}"`, ...args);
+    // The protocol says what the server sends — say so when it doesn't match
+    const schema = SERVER_PAYLOADS[event];
+    const error  = schema ? validate(schema, args[0]).error : "not in the protocol";
+    if (error) console.warn(`[Duo-fy] Unexpected "${event}" from the server — ${error}`);
+  });
   socket.onAnyOutgoing((event, ...args) =>
     console.log(`[Duo-fy ↑] "${event}"`, ...args)
   );
@@ -30,6 +73,146 @@ if (IS_DEV) {
   socket.on("connect_error", (e) => console.error(`[Duo-fy] Error — ${e.message}`));
 }
 
+// ── Local events ────────────────────────────────────────────
+// Raised by this module rather than the server; subscribe via socketService.on
+const LOCAL_EVENTS = new Set(["reconnecting", "room-resumed", "room-resume-failed", "unauthorized", "protocol-mismatch"]);
+const localListeners = new Map(); // event → Set<handler>
+
+function emitLocal(event, data) {
+  localListeners.get(event)?.forEach((fn) => fn(data));
+}
+
+// Manager-level event — the socket itself never sees it
+socket.io.on("reconnect_attempt", (attempt) => emitLocal("reconnecting", attempt));
+
+// Turned away at the handshake — socket.io won't retry that on its own
+const UNAUTHORIZED = "Log in with Spotify to listen together.";
+const OUTDATED     = "Duo-fy has been updated — refresh the page to keep listening.";
+socket.on("connect_error", (err) => {
+  if (err.message === "unauthorized")    emitLocal("unauthorized", new Error(UNAUTHORIZED));
+  if (err.message === PROTOCOL_MISMATCH) emitLocal("protocol-mismatch", new Error(OUTDATED));
+});
+// Either one also fails whatever is waiting on an ack (see emitWithAck)
+const HANDSHAKE_REFUSALS = ["unauthorized", "protocol-mismatch"];
+
+// ── Room session ────────────────────────────────────────────
+// The server issues a token per room membership. It is kept per tab in
+// sessionStorage so a dropped socket or a reload can reclaim the same slot.
+const SESSION_KEY = "duofy_room_session";
+
+let session = null; // { roomId, token } while in a room
+
+function rememberSession(res) {
+  if (!res?.sessionToken) return;
+  session = { roomId: res.roomId, token: res.sessionToken };
+  sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+}
+
+function forgetSession() {
+  session = null;
+  sessionStorage.removeItem(SESSION_KEY);
+}
+
+function loadSession() {
+  try { return JSON.parse(sessionStorage.getItem(SESSION_KEY)); } catch { return null; }
+}
+
+// Our account took this slot from another tab or device — don't take it back
+socket.on(SERVER_EVENTS.SESSION_REPLACED, () => forgetSession());
+// The room sat idle past its lifetime and is gone
+socket.on(SERVER_EVENTS.ROOM_EXPIRED, () => forgetSession());
+
+// ── Profile ─────────────────────────────────────────────────
+// What the room shows about us: { displayName, avatarUrl, product, deviceReady }.
+// Sent with every create/join/resume so a rejoin restores it too.
+let profile = {};
+
+// ── Clock sync ──────────────────────────────────────────────
+// Several ping/pong round trips per sync. The lowest-RTT sample has the least
+// queueing noise, so its midpoint gives the offset (server − client clock).
+const CLOCK_SAMPLES   = 6;
+const CLOCK_RESYNC_MS = 30000;
+
+const clock = { offset: 0, rtt: null, syncedAt: 0 };
+const clockListeners = new Set();
+let clockTimer   = null;
+let clockSyncing = false;
+
+function pingServerClock() {
+  return new Promise((resolve, reject) => {
+    const sentAt = Date.now();
+    const t = setTimeout(() => reject(new Error("Clock sync timed out.")), 3000);
+    socket.emit(CLIENT_EVENTS.TIME_SYNC, { rtt: clock.rtt ?? undefined }, (res) => {
+      clearTimeout(t);
+      const receivedAt = Date.now();
+      if (typeof res?.serverTime !== "number") return reject(new Error("Bad clock sync reply."));
+      resolve({
+        rtt:    receivedAt - sentAt,
+        offset: res.serverTime - (sentAt + receivedAt) / 2,
+      });
+    });
+  });
+}
+
+async function syncClock() {
+  if (clockSyncing) return;
+  clockSyncing = true;
+  const samples = [];
+  for (let i = 0; i < CLOCK_SAMPLES && socket.connected; i++) {
+    try { samples.push(await pingServerClock()); } catch { /* drop this sample */ }
+  }
+  clockSyncing = false;
+  if (!samples.length) return;
+
+  samples.sort((a, b) => a.rtt - b.rtt);
+  clock.offset   = Math.round(samples[0].offset);
+  clock.rtt      = samples[Math.floor(samples.length / 2)].rtt; // median — steadier for display
+  clock.syncedAt = Date.now();
+  clockListeners.forEach((fn) => fn({ ...clock }));
+}
+
+function serverNow() {
+  return Date.now() + clock.offset;
+}
+
+socket.on("connect", () => {
+  syncClock();
+  clearInterval(clockTimer);
+  clockTimer = setInterval(syncClock, CLOCK_RESYNC_MS);
+
+  // Reconnected while in a room — reclaim our slot
+  if (session) {
+    socketService.resumeRoom()
+      .then((res) => emitLocal("room-resumed", res))
+      .catch((err) => emitLocal("room-resume-failed", err));
+  }
+});
+socket.on("disconnect", () => clearInterval(clockTimer));
+
+// Emit with an acknowledgement, rejecting if the server is silent, says no,
+// or won't let us connect at all
+function emitWithAck(event, payload, fallbackError) {
+  return new Promise((resolve, reject) => {
+    const done = (fn) => (arg) => {
+      clearTimeout(t);
+      HANDSHAKE_REFUSALS.forEach((name) => localListeners.get(name)?.delete(onRefused));
+      fn(arg);
+    };
+    const onRefused = done(reject);
+    const t = setTimeout(done(() => reject(new Error("Server did not respond in time."))), 8000);
+    HANDSHAKE_REFUSALS.forEach((name) => {
+      if (!localListeners.has(name)) localListeners.set(name, new Set());
+      localListeners.get(name).add(onRefused);
+    });
+
+    socket.emit(event, payload, done((res) =>
+      res?.success
+        ? resolve(res)
+        : reject(Object.assign(new Error(res?.error || fallbackError), { code: res?.code, retryAfterMs: res?.retryAfterMs }))
+    ));
+  });
+}
+
 const socketService = {
   // ── Lifecycle ──────────────────────────────────────────────
   connect()    { if (!socket.connected) socket.connect(); },
@@ -37,51 +220,187 @@ const socketService = {
   get id()        { return socket.id; },
   get connected() { return socket.connected; },
 
+  // ── Clock ──────────────────────────────────────────────────
+  // All sync timestamps are server time — never compare them to Date.now()
+  serverNow,
+  get clock() { return { ...clock }; },
+  onClockSync(handler) {
+    clockListeners.add(handler);
+    return () => clockListeners.delete(handler);
+  },
+
+  // ── Profile ────────────────────────────────────────────────
+  // Merges into the saved profile and, when in a room, tells the other members
+  setProfile(update) {
+    profile = { ...profile, ...update };
+    if (session && socket.connected) {
+      emitWithAck(CLIENT_EVENTS.UPDATE_PROFILE, { roomId: session.roomId, ...update }, "Could not update profile.")
+        .catch(() => { });
+    }
+  },
+
   // ── Room ───────────────────────────────────────────────────
-  // userInfo: { displayName, avatarUrl } — sent to partner on join
-  createRoom(roomId, userInfo = {}) {
-    return new Promise((resolve, reject) => {
-      const t = setTimeout(() => reject(new Error("Server did not respond in time.")), 8000);
-      socket.emit("create-room", { roomId, ...userInfo }, (res) => {
-        clearTimeout(t);
-        res?.success ? resolve(res) : reject(new Error(res?.error || "Failed to create room."));
-      });
-    });
+  // userInfo overrides the saved profile for this call
+  // The server picks the room code — it's the result's roomId
+  // passcode: optional — everyone joining without an invite must enter it
+  async createRoom({ passcode, ...userInfo } = {}) {
+    const res = await emitWithAck(CLIENT_EVENTS.CREATE_ROOM, { passcode, ...profile, ...userInfo }, "Failed to create room.");
+    rememberSession(res);
+    return res;
   },
 
-  joinRoom(roomId, userInfo = {}) {
-    return new Promise((resolve, reject) => {
-      const t = setTimeout(() => reject(new Error("Server did not respond in time.")), 8000);
-      socket.emit("join-room", { roomId, ...userInfo }, (res) => {
-        clearTimeout(t);
-        res?.success ? resolve(res) : reject(new Error(res?.error || "Room not found."));
-      });
-    });
+  // invite: the token from an invite link — the server joins its room, whatever roomId says
+  // passcode: for a passcode-protected room (an invite doesn't need one)
+  // A refusal's err.code says why: "room_locked", "passcode_required", "wrong_passcode", …
+  async joinRoom(roomId, { invite, passcode, ...userInfo } = {}) {
+    const res = await emitWithAck(CLIENT_EVENTS.JOIN_ROOM, { roomId, invite, passcode, ...profile, ...userInfo }, "Room not found.");
+    rememberSession(res);
+    return res;
+  },
+
+  // Resolves with { code, url, expiresAt } — a signed link into the room
+  createInvite(roomId) {
+    return emitWithAck(CLIENT_EVENTS.CREATE_INVITE, { roomId }, "Could not create an invite link.");
+  },
+
+  // Rejoin the current (or, after a reload, the saved) room with its token
+  async resumeRoom(userInfo = {}) {
+    const saved = session ?? loadSession();
+    if (!saved) throw new Error("No room to rejoin.");
+    try {
+      const res = await emitWithAck(
+        CLIENT_EVENTS.JOIN_ROOM,
+        { roomId: saved.roomId, sessionToken: saved.token, ...profile, ...userInfo },
+        "Could not rejoin the room."
+      );
+      rememberSession(res);
+      return res;
+    } catch (err) {
+      forgetSession();
+      throw err;
+    }
+  },
+
+  get hasSavedSession() { return !!(session ?? loadSession()); },
+
+  leaveRoom(roomId) {
+    forgetSession();
+    socket.emit(CLIENT_EVENTS.LEAVE_ROOM, { roomId });
+  },
+
+  // Resolves with { state, room, queue, memberId } — playback, roster/settings, queue, and who we are
+  requestState(roomId) {
+    return emitWithAck(CLIENT_EVENTS.REQUEST_STATE, { roomId }, "Could not load room state.");
+  },
+
+  // ── Roles & settings (host only) ───────────────────────────
+  transferHost(roomId, memberId) {
+    return emitWithAck(CLIENT_EVENTS.TRANSFER_HOST, { roomId, memberId }, "Could not hand over hosting.");
+  },
+
+  // settings: { capacity?, controlMode?: "host" | "everyone" | "vote" }
+  updateSettings(roomId, settings) {
+    return emitWithAck(CLIENT_EVENTS.UPDATE_SETTINGS, { roomId, settings }, "Could not update room settings.");
   },
 
-  leaveRoom(roomId) { socket.emit("leave-room", { roomId }); },
+  castVote(roomId, voteId) { socket.emit(CLIENT_EVENTS.CAST_VOTE, { roomId, voteId }); },
 
   // ── Playback ───────────────────────────────────────────────
+  // Every control resolves with { success, pending? } — pending means the
+  // room is voting on it — and rejects when the room doesn't allow it.
+
+  // meta: { positionMs, trackUri, durationMs } — the server stores it as the room state
   emitPlay(roomId, meta = {}) {
-    socket.emit("control", { event: "play", roomId, timestamp: Date.now(), ...meta });
+    return emitWithAck(CLIENT_EVENTS.CONTROL, { event: "play", roomId, ...meta }, "Could not play.");
   },
 
   emitPause(roomId, meta = {}) {
-    socket.emit("control", { event: "pause", roomId, timestamp: Date.now(), ...meta });
+    return emitWithAck(CLIENT_EVENTS.CONTROL, { event: "pause", roomId, ...meta }, "Could not pause.");
+  },
+
+  emitSeek(roomId, positionMs) {
+    return emitWithAck(
+      CLIENT_EVENTS.CONTROL,
+      { event: "seek", roomId, positionMs: Math.max(0, Math.round(positionMs)) },
+      "Could not seek."
+    );
+  },
+
+  // track: { uri, name, duration_ms? } — a Spotify track object works as-is
+  emitTrack(roomId, track) {
+    return emitWithAck(
+      CLIENT_EVENTS.CONTROL,
+      { event: "track", roomId, trackUri: track.uri, trackName: track.name, durationMs: track.duration_ms },
+      "Could not change track."
+    );
+  },
+
+  // Our player finished trackUri — every member reports it, the server acts once
+  reportTrackEnd(roomId, trackUri) {
+    socket.emit(CLIENT_EVENTS.TRACK_ENDED, { roomId, trackUri });
+  },
+
+  // Plays the head of the shared queue for the whole room
+  emitNext(roomId) {
+    return emitWithAck(CLIENT_EVENTS.CONTROL, { event: "next", roomId }, "Could not skip.");
+  },
+
+  // sample: { positionMs, trackUri } — resolves with { driftMs, correction, state }
+  reportPosition(roomId, sample) {
+    return emitWithAck(CLIENT_EVENTS.SYNC_REPORT, {
+      roomId,
+      positionMs: Math.max(0, Math.round(sample.positionMs)),
+      trackUri:   sample.trackUri ?? undefined,
+      sampledAt:  serverNow(),
+    }, "Position report failed.");
+  },
+
+  // ── Shared queue ──────────────────────────────────────────
+  // track: a Spotify track object — only what the room needs to show it is sent
+  queueAdd(roomId, track) {
+    const images = track.album?.images ?? [];
+    return emitWithAck(CLIENT_EVENTS.QUEUE_ADD, {
+      roomId,
+      track: {
+        uri:        track.uri,
+        name:       track.name,
+        artists:    track.artists?.map((a) => a.name).join(", ") || undefined,
+        albumArt:   (images[2] ?? images[0])?.url ?? null,
+        durationMs: track.duration_ms,
+      },
+    }, "Could not add to the queue.");
+  },
+
+  queueRemove(roomId, itemId) {
+    return emitWithAck(CLIENT_EVENTS.QUEUE_REMOVE, { roomId, itemId }, "Could not remove the track.");
+  },
+
+  queueMove(roomId, itemId, toIndex) {
+    return emitWithAck(CLIENT_EVENTS.QUEUE_MOVE, { roomId, itemId, toIndex }, "Could not move the track.");
   },
 
   // ── Reactions ─────────────────────────────────────────────
   emitReaction(roomId, emoji) {
-    socket.emit("reaction", { roomId, emoji, timestamp: Date.now() });
+    socket.emit(CLIENT_EVENTS.REACTION, { roomId, emoji });
   },
 
   // ── Listeners ─────────────────────────────────────────────
   on(event, handler) {
+    if (LOCAL_EVENTS.has(event)) {
+      if (!localListeners.has(event)) localListeners.set(event, new Set());
+      localListeners.get(event).add(handler);
+      return () => localListeners.get(event).delete(handler);
+    }
     socket.on(event, handler);
     return () => socket.off(event, handler);
   },
-  off(event, handler) { socket.off(event, handler); },
+  off(event, handler) {
+    if (LOCAL_EVENTS.has(event)) localListeners.get(event)?.delete(handler);
+    else socket.off(event, handler);
+  },
   once(event, handler) { socket.once(event, handler); },
 };
 
+// Server event names, for socketService.on — see shared/protocol.js
+export { SERVER_EVENTS };
 export default socketService;
\ No newline at end of file
@@ -0,0 +1,184 @@
+/**
+ * spotifyApi.js — Duo-fy Spotify Web API client
+ *
+ * Every Web API call goes through request():
+ *   - 401 → asks for a fresh access token once (see setTokenRefresher) and retries
+ *   - 429 → waits out Retry-After and retries, unless the wait is too long
+ *   - any other failure → a typed SpotifyApiError the UI can explain
+ * In demo mode (VITE_SPOTIFY_MODE=demo) the calls are answered by the
+ * simulated Spotify in src/demo instead of the network.
+ *
+ * Exports:
+ *   default spotifyApi — { request, fetch, refreshToken, setTokenRefresher }
+ *   SpotifyApiError, SpotifyAuthError, PremiumRequiredError, NoActiveDeviceError, RateLimitError
+ *   describeSpotifyError(err) → a message worth showing the user
+ */
+
+import { IS_DEMO, demoFetch } from "./demo/demoSpotify";
+
+const API_URL = "https://api.spotify.com/v1";
+const send    = IS_DEMO ? demoFetch : (url, init) => fetch(url, init);
+
+const MAX_RATE_LIMIT_RETRIES = 2;
+const MAX_RETRY_WAIT_MS      = 10000; // longer waits are handed to the caller instead
+
+// ── Errors ──────────────────────────────────────────────────
+// status 0 means the request never got an answer (offline, CORS, DNS…)
+
+export class SpotifyApiError extends Error {
+  constructor(message, { status = 0, reason = null } = {}) {
+    super(message);
+    this.name   = "SpotifyApiError";
+    this.status = status;
+    this.reason = reason; // Spotify's machine-readable reason, e.g. "NO_ACTIVE_DEVICE"
+  }
+}
+
+// The token was rejected and a fresh one couldn't be had — log in again
+export class SpotifyAuthError extends SpotifyApiError {
+  constructor(message = "Spotify login expired.", details) {
+    super(message, { status: 401, ...details });
+    this.name = "SpotifyAuthError";
+  }
+}
+
+export class PremiumRequiredError extends SpotifyApiError {
+  constructor(message = "Spotify Premium required.", details) {
+    super(message, { status: 403, ...details });
+    this.name = "PremiumRequiredError";
+  }
+}
+
+export class NoActiveDeviceError extends SpotifyApiError {
+  constructor(message = "No active Spotify device.", details) {
+    super(message, { status: 404, ...details });
+    this.name = "NoActiveDeviceError";
+  }
+}
+
+export class RateLimitError extends SpotifyApiError {
+  constructor(retryAfterMs, details) {
+    super("Spotify rate limit hit.", { status: 429, ...details });
+    this.name         = "RateLimitError";
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export function describeSpotifyError(err) {
+  if (err instanceof PremiumRequiredError) return "Spotify Premium is required to control playback.";
+  if (err instanceof NoActiveDeviceError)  return "No active device — open Spotify on a device and try again.";
+  if (err instanceof SpotifyAuthError)     return "Your Spotify login expired — please log in again.";
+  if (err instanceof RateLimitError) {
+    return `Spotify is busy — try again in ${Math.max(1, Math.ceil(err.retryAfterMs / 1000))}s.`;
+  }
+  if (err instanceof SpotifyApiError && err.status === 0) return "Can't reach Spotify — check your connection.";
+  return "Spotify didn't respond. Try again.";
+}
+
+// Spotify's error body: { error: { status, message, reason? } }
+async function errorFor(res) {
+  const body    = await res.json().catch(() => null);
+  const message = body?.error?.message || `Spotify request failed (${res.status}).`;
+  const reason  = body?.error?.reason ?? null;
+
+  if (res.status === 401) return new SpotifyAuthError(message, { reason });
+  if (res.status === 403 && reason === "PREMIUM_REQUIRED") return new PremiumRequiredError(message, { reason });
+  if (res.status === 404 && (reason === "NO_ACTIVE_DEVICE" || /device/i.test(message))) {
+    return new NoActiveDeviceError(message, { reason });
+  }
+  return new SpotifyApiError(message, { status: res.status, reason });
+}
+
+function retryAfterMs(res) {
+  const seconds = Number(res.headers.get("Retry-After"));
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 1000;
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// ── Token refresh ───────────────────────────────────────────
+// The app decides where tokens come from; concurrent 401s share one refresh.
+let tokenRefresher = null; // async () → new access token, or null when logged out
+let refreshing     = null;
+
+function refreshToken() {
+  if (!tokenRefresher) return Promise.resolve(null);
+  refreshing ??= tokenRefresher()
+    .catch(() => null)
+    .finally(() => { refreshing = null; });
+  return refreshing;
+}
+
+// ── Requests ────────────────────────────────────────────────
+
+function apiUrl(path, query) {
+  const params = new URLSearchParams(
+    Object.entries(query ?? {}).filter(([, v]) => v !== undefined && v !== null)
+  );
+  return `${API_URL}${path}${params.size ? `?${params}` : ""}`;
+}
+
+// One raw call, no retries — for callers that read status/headers themselves
+function rawFetch(path, { token, query, headers, ...init } = {}) {
+  return send(apiUrl(path, query), { ...init, headers: { Authorization: `Bearer ${token}`, ...headers } });
+}
+
+// path: "/me/player/play" etc. — query values that are null/undefined are left out.
+// → the parsed JSON body, or null for an empty (204/202) reply
+async function request(path, { token, method = "GET", query, body } = {}) {
+  const url = apiUrl(path, query);
+
+  let accessToken = token;
+  let refreshed   = false;
+  let rateLimited = 0;
+
+  for (;;) {
+    let res;
+    try {
+      res = await send(url, {
+        method,
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          ...(body !== undefined && { "Content-Type": "application/json" }),
+        },
+        ...(body !== undefined && { body: JSON.stringify(body) }),
+      });
+    } catch {
+      throw new SpotifyApiError("Could not reach Spotify.");
+    }
+
+    if (res.status === 401 && !refreshed) {
+      refreshed   = true;
+      accessToken = await refreshToken();
+      if (!accessToken) throw await errorFor(res);
+      continue;
+    }
+
+    if (res.status === 429) {
+      const waitMs = retryAfterMs(res);
+      if (rateLimited >= MAX_RATE_LIMIT_RETRIES || waitMs > MAX_RETRY_WAIT_MS) throw new RateLimitError(waitMs);
+      rateLimited++;
+      await sleep(waitMs);
+      continue;
+    }
+
+    if (!res.ok) throw await errorFor(res);
+
+    // Some player endpoints answer 200 with an empty or non-JSON body
+    const text = await res.text();
+    try { return text ? JSON.parse(text) : null; } catch { return null; }
+  }
+}
+
+const spotifyApi = {
+  request,
+  fetch: rawFetch,
+  // Also usable on its own — e.g. after a 401 seen outside request()
+  refreshToken,
+  setTokenRefresher(fn) {
+    tokenRefresher = fn;
+    return () => { if (tokenRefresher === fn) tokenRefresher = null; };
+  },
+};
+
+export default spotifyApi;
@@ -0,0 +1,82 @@
+/**
+ * demo/accounts.js — simulated Spotify accounts service (SPOTIFY_MODE=demo)
+ *
+ * Stands in for https://accounts.spotify.com so the OAuth round trip works
+ * with no network and no Spotify app:
+ *   GET  /authorize  — approves straight away, back to redirect_uri with a code
+ *   POST /api/token  — authorization_code (secret or PKCE) and refresh_token grants
+ *
+ * Tokens are opaque random strings; the client-side demo Web API accepts any
+ * bearer token, so nothing here needs to remember them beyond a refresh.
+ */
+
+import express from "express";
+import crypto  from "crypto";
+
+const CODE_TTL_MS      = 60 * 1000;
+const TOKEN_LIFETIME_S = 3600;
+
+const randomToken = (prefix) => `${prefix}-${crypto.randomBytes(24).toString("base64url")}`;
+
+export function createDemoAccounts({ clientId }) {
+  const router        = express.Router();
+  const codes         = new Map(); // code → { redirectUri, challenge, expiresAt }
+  const refreshTokens = new Set();
+
+  function tokenError(res, error, description) {
+    res.status(400).json({ error, error_description: description });
+  }
+
+  function issueTokens(res, refreshToken = randomToken("demo-refresh")) {
+    refreshTokens.add(refreshToken);
+    res.json({
+      access_token:  randomToken("demo-access"),
+      token_type:    "Bearer",
+      expires_in:    TOKEN_LIFETIME_S,
+      refresh_token: refreshToken,
+    });
+  }
+
+  router.get("/authorize", (req, res) => {
+    const { client_id, redirect_uri, state, code_challenge, code_challenge_method } = req.query;
+    if (client_id !== clientId || typeof redirect_uri !== "string") {
+      return res.status(400).send("Unknown client_id or missing redirect_uri.");
+    }
+    if (code_challenge && code_challenge_method !== "S256") {
+      return res.status(400).send("Only S256 code challenges are supported.");
+    }
+
+    const code = crypto.randomBytes(16).toString("base64url");
+    codes.set(code, { redirectUri: redirect_uri, challenge: code_challenge ?? null, expiresAt: Date.now() + CODE_TTL_MS });
+
+    const back = new URL(redirect_uri);
+    back.searchParams.set("code", code);
+    if (state) back.searchParams.set("state", state);
+    res.redirect(back.toString());
+  });
+
+  router.post("/api/token", express.urlencoded({ extended: false }), (req, res) => {
+    const { grant_type, code, redirect_uri, code_verifier, refresh_token } = req.body ?? {};
+
+    if (grant_type === "authorization_code") {
+      const pending = codes.get(code);
+      codes.delete(code); // single use
+      if (!pending || pending.expiresAt < Date.now()) return tokenError(res, "invalid_grant", "Invalid authorization code");
+      if (pending.redirectUri !== redirect_uri)      return tokenError(res, "invalid_grant", "Invalid redirect URI");
+      if (pending.challenge) {
+        const hashed = crypto.createHash("sha256").update(code_verifier ?? "").digest("base64url");
+        if (hashed !== pending.challenge) return tokenError(res, "invalid_grant", "code_verifier was incorrect");
+      }
+      return issueTokens(res);
+    }
+
+    if (grant_type === "refresh_token") {
+      if (!refreshTokens.has(refresh_token)) return tokenError(res, "invalid_grant", "Refresh token revoked");
+      return issueTokens(res, refresh_token);
+    }
+
+    tokenError(res, "unsupported_grant_type", "grant_type must be authorization_code or refresh_token");
+  });
+
+  return router;
+}
@@ -0,0 +1,103 @@
+/**
+ * events/pipeline.js — The one way socket events reach a handler
+ *
+ * Every event a client may send has
+ *   a schema — see shared/protocol.js; the handler only ever sees fields it names
+ *   limits   — { socket?, user?, room? }, token buckets ({ burst, perSecond },
+ *              see events/rateLimiter.js) per connection, per Spotify account,
+ *              and per room. The room bucket applies to the payload's roomId,
+ *              once the socket is in it.
+ *
+ * In order, each event is: rate limited (socket, user) → validated → rate
+ * limited (room) → handled. A refusal is acknowledged, when the client asked
+ * for an ack, with  { success: false, code, error }:
+ *   code "rate_limited"    — plus retryAfterMs
+ *   code "invalid_payload" — error names the offending field
+ *   code "server_error"    — the handler threw
+ * Refusals are logged with the socket and user id, at most once per
+ * ABUSE_LOG_INTERVAL_MS for each socket, event and reason.
+ *
+ * Exports:
+ *   createEventPipeline({ schemas, limits, log }) → { bind(socket) → on(event, handler) }
+ *     handler(payload, callback) — payload is validated; callback is as sent
+ */
+
+import { validate } from "../../shared/schema.js";
+import { createRateLimiter } from "./rateLimiter.js";
+
+const ABUSE_LOG_INTERVAL_MS = 10 * 1000;
+
+export function createEventPipeline({ schemas, limits: eventLimits, log }) {
+  const limiter = createRateLimiter();
+  const logged  = new Map(); // "socketId|event|code" → { at, suppressed }
+
+  function reportAbuse(socket, event, code, detail) {
+    const key   = `${socket.id}|${event}|${code}`;
+    const now   = Date.now();
+    const entry = logged.get(key);
+    if (entry && now - entry.at < ABUSE_LOG_INTERVAL_MS) {
+      entry.suppressed++;
+      return;
+    }
+    const again = entry?.suppressed ? ` (+${entry.suppressed} since last report)` : "";
+    log("warn", `Refused "${event}" (${code}) from socket ${socket.id}, user ${socket.data.user?.id ?? "?"}: ${detail}${again}`);
+    logged.set(key, { at: now, suppressed: 0 });
+  }
+
+  // → ms to wait, 0 when every bucket had a token
+  function spend(event, scopes) {
+    let wait = 0;
+    for (const [scope, limit] of scopes) {
+      if (limit) wait = Math.max(wait, limiter.take(scope, event, limit));
+    }
+    return wait;
+  }
+
+  function bind(socket) {
+    socket.on("disconnect", () => {
+      for (const key of logged.keys()) if (key.startsWith(`${socket.id}|`)) logged.delete(key);
+    });
+
+    return function on(event, handler) {
+      const schema = schemas[event];
+      if (!schema) throw new Error(`Socket event "${event}" isn't in the protocol`);
+      const limits = eventLimits[event] ?? {};
+
+      socket.on(event, (payload, callback) => {
+        // emit(event, ack) — no payload, just the acknowledgement
+        if (typeof payload === "function" && callback === undefined) [payload, callback] = [undefined, payload];
+        const refuse = (code, error, extra) => {
+          if (typeof callback === "function") callback({ success: false, code, error, ...extra });
+        };
+        const limited = (retryAfterMs, scope) => {
+          reportAbuse(socket, event, "rate_limited", `${scope} limit, retry in ${retryAfterMs} ms`);
+          refuse("rate_limited", "Slow down — that's too many requests.", { retryAfterMs });
+        };
+
+        const user = socket.data.user?.id;
+        let wait = spend(event, [[`socket:${socket.id}`, limits.socket], [`user:${user}`, user && limits.user]]);
+        if (wait) return limited(wait, "socket/user");
+
+        const { value, error } = validate(schema, payload);
+        if (error) {
+          reportAbuse(socket, event, "invalid_payload", error);
+          return refuse("invalid_payload", `Invalid ${event} request — ${error}.`);
+        }
+
+        if (limits.room && typeof value.roomId === "string" && socket.rooms.has(value.roomId)) {
+          wait = spend(event, [[`room:${value.roomId}`, limits.room]]);
+          if (wait) return limited(wait, "room");
+        }
+
+        try {
+          handler(value, callback);
+        } catch (err) {
+          log("error", `Handler for "${event}" failed:`, err.stack ?? err.message);
+          refuse("server_error", "Something went wrong on the server.");
+        }
+      });
+    };
+  }
+
+  return { bind };
+}
@@ -0,0 +1,52 @@
+/**
+ * events/rateLimiter.js — Token buckets for socket events
+ *
+ * Each bucket holds up to `burst` tokens and refills at `perSecond`. An event
+ * spends one token; with none left it's refused until the next one drips in.
+ * Buckets are keyed by scope ("socket:<id>", "room:<id>", "user:<id>") and
+ * event name. A bucket that has refilled completely is the same as no bucket,
+ * so those are swept away instead of being tracked per socket or room.
+ *
+ * Exports:
+ *   createRateLimiter() → { take(scope, name, { burst, perSecond }) }
+ *     take → 0 when the event may go ahead, otherwise ms until it could
+ */
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+export function createRateLimiter() {
+  const buckets = new Map(); // "scope|name" → { tokens, at, burst, perSecond }
+
+  function refill(bucket, now) {
+    const tokens = bucket.tokens + ((now - bucket.at) / 1000) * bucket.perSecond;
+    bucket.tokens = Math.min(tokens, bucket.burst);
+    bucket.at     = now;
+  }
+
+  function take(scope, name, { burst, perSecond }) {
+    const key = `${scope}|${name}`;
+    const now = Date.now();
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: burst, at: now, burst, perSecond };
+      buckets.set(key, bucket);
+    }
+    refill(bucket, now);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil(((1 - bucket.tokens) / perSecond) * 1000);
+  }
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      refill(bucket, now);
+      if (bucket.tokens >= bucket.burst) buckets.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS).unref();
+
+  return { take };
+}
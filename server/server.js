@@ -4,13 +4,33 @@
  * Upgrades over v1:
  * - Environment validation on startup (fail fast)
  * - CORS driven by env variable (no hardcoded origins)
- * - Room size limit (max 2 players per room)
+ * - Room capacity limit (set per room, up to MAX_ROOM_CAPACITY)
  * - join-room rejects if room is full
  * - control events validated before broadcast
  * - Graceful shutdown (SIGTERM / SIGINT)
  * - Centralized error logging helper
  * - HTTP health check endpoint
  * - Tokens never logged
+ * - Server-authoritative playback state per room (versioned)
+ * - Seek, track change and reaction relays
+ * - Clock sync endpoint — clients measure offset + RTT against server time
+ * - Drift heartbeat — clients report position, server prescribes corrections
+ * - Room registry with a reconnect grace period + session tokens for resume
+ * - Pluggable persistence (memory / JSON file) — rooms survive a restart
+ * - Group rooms: configurable capacity, host role, control modes (host/everyone/vote)
+ * - Member profiles (name, avatar, Spotify tier, device readiness) shared with the room
+ * - Shared room queue — add/remove/reorder, "next" plays its head for everyone
+ * - Track-end reports auto-advance the room to the next queued track
+ * - Scheduled starts — play/seek/track take effect at a server time chosen from member RTTs
+ * - Spotify tokens held server-side; the browser gets an HttpOnly session cookie + /token
+ * - OAuth login hardened: signed, expiring `state` bound to the browser; optional PKCE
+ * - /login?room=CODE — the invite's room rides in the state and comes back on the redirect
+ * - Offline demo mode (SPOTIFY_MODE=demo) — a simulated Spotify accounts service, no app needed
+ * - Socket handshake auth — every socket is a logged-in Spotify user; room slots belong to users
+ * - Server-minted room codes (characters or words), rooms expire when idle, signed invite links
+ * - Optional room passcodes, a host "lock" that refuses new joins, limits on failed join attempts
+ * - Event pipeline — every socket event is schema-validated and rate limited per socket/user/room
+ * - Versioned socket protocol shared with the client (../shared/protocol.js) — other versions are refused
  */
 
 import express  from "express";
@@ -19,15 +39,42 @@ import { Server } from "socket.io";
 import cors     from "cors";
 import dotenv   from "dotenv";
 import axios    from "axios";
+import crypto   from "crypto";
+import { createStore } from "./store/index.js";
+import { createDemoAccounts } from "./demo/accounts.js";
+import { createEventPipeline } from "./events/pipeline.js";
+import {
+  PROTOCOL_VERSION, PROTOCOL_MISMATCH, CLIENT_EVENTS, SERVER_EVENTS, CLIENT_PAYLOADS,
+  CONTROL_ACTIONS, CONTROL_MODES, isValidImageUrl,
+} from "../shared/protocol.js";
 
 dotenv.config();
 
 // ─── Environment Validation ───────────────────────────────────────────────────
 
-const REQUIRED_ENV = [
+// "demo" swaps Spotify for a local simulation — see demo/accounts.js and the
+// client's VITE_SPOTIFY_MODE. No Spotify app or network needed.
+const SPOTIFY_MODE = process.env.SPOTIFY_MODE || "live";
+const IS_DEMO      = SPOTIFY_MODE === "demo";
+
+if (!["live", "demo"].includes(SPOTIFY_MODE)) {
+  console.error(`[Duo-fy] SPOTIFY_MODE must be "live" or "demo", got "${SPOTIFY_MODE}"`);
+  process.exit(1);
+}
+
+// PKCE logins need no client secret — it's only required for the "secret" flow
+const AUTH_FLOW = process.env.SPOTIFY_AUTH_FLOW
+  || (process.env.SPOTIFY_CLIENT_SECRET ? "secret" : "pkce");
+
+if (!["secret", "pkce"].includes(AUTH_FLOW)) {
+  console.error(`[Duo-fy] SPOTIFY_AUTH_FLOW must be "secret" or "pkce", got "${AUTH_FLOW}"`);
+  process.exit(1);
+}
+
+const REQUIRED_ENV = IS_DEMO ? [] : [
   "SPOTIFY_CLIENT_ID",
-  "SPOTIFY_CLIENT_SECRET",
   "SPOTIFY_REDIRECT_URI",
+  ...(AUTH_FLOW === "secret" ? ["SPOTIFY_CLIENT_SECRET"] : []),
 ];
 
 const missing = REQUIRED_ENV.filter((key) => !process.env[key]);
@@ -37,16 +84,59 @@ if (missing.length) {
 }
 
 const {
-  SPOTIFY_CLIENT_ID,
+  PORT         = 5000,
+  SPOTIFY_CLIENT_ID     = IS_DEMO ? "duofy-demo" : undefined,
   SPOTIFY_CLIENT_SECRET,
-  SPOTIFY_REDIRECT_URI,
+  SPOTIFY_REDIRECT_URI  = IS_DEMO ? `http://127.0.0.1:${PORT}/callback` : undefined,
   FRONTEND_URL = "http://127.0.0.1:5173",
-  PORT         = 5000,
   NODE_ENV     = "development",
+  DRIFT_THRESHOLD_MS = "120",  // below this a client counts as in sync
+  DRIFT_SEEK_MS      = "800",  // above this (or when behind) correct with a seek
+  ROOM_GRACE_MS      = "60000", // how long a dropped member keeps their slot
+  ROOM_CAPACITY      = "2",     // default listeners per room
+  MAX_ROOM_CAPACITY  = "10",    // upper bound a host may choose
+  START_MARGIN_MS    = "400",   // time Spotify needs to load/seek before a scheduled start
+  ROOM_CODE_STYLE    = "chars", // "chars" (K7QF2M) | "words" (MELLOW-OTTER-42)
+  ROOM_TTL_MS        = String(24 * 60 * 60 * 1000), // a room closes after this long without activity
+  INVITE_TTL_MS      = String(24 * 60 * 60 * 1000), // how long an invite link works
+  JOIN_FAILURE_LIMIT     = "8",     // failed joins allowed per IP and per account…
+  JOIN_FAILURE_WINDOW_MS = "600000", // …in this window (10 min)
+  TRUST_PROXY        = "false", // "true" behind a reverse proxy — client IPs come from X-Forwarded-For
+  STORE              = "memory", // "memory" | "file"
+  STORE_PATH         = "./data/duofy.json",
+  SESSION_TTL_MS     = String(30 * 24 * 60 * 60 * 1000), // login lifetime (30 days)
+  // Signs OAuth state and socket tokens; a random per-process key means logins
+  // in flight (and sockets reconnecting with an old token) fail across a restart
+  OAUTH_STATE_SECRET = crypto.randomBytes(32).toString("hex"),
 } = process.env;
 
 const IS_DEV = NODE_ENV !== "production";
 
+if (!["chars", "words"].includes(ROOM_CODE_STYLE)) {
+  console.error(`[Duo-fy] ROOM_CODE_STYLE must be "chars" or "words", got "${ROOM_CODE_STYLE}"`);
+  process.exit(1);
+}
+
+// The demo accounts service is mounted on this server, next to /callback
+const SPOTIFY_ACCOUNTS_URL = IS_DEMO
+  ? `${new URL(SPOTIFY_REDIRECT_URI).origin}/demo/accounts`
+  : "https://accounts.spotify.com";
+const SPOTIFY_API_URL = "https://api.spotify.com/v1";
+
+// ─── Storage ──────────────────────────────────────────────────────────────────
+
+let store;
+try {
+  store = await createStore({
+    kind:    STORE,
+    path:    STORE_PATH,
+    onError: (err) => console.error("[Duo-fy] Store flush failed:", err.message),
+  });
+} catch (err) {
+  console.error(`[Duo-fy] ${err.message}`);
+  process.exit(1);
+}
+
 // ─── App + Server ─────────────────────────────────────────────────────────────
 
 const app    = express();
@@ -56,8 +146,9 @@ const server = http.createServer(app);
 
 const io = new Server(server, {
   cors: {
-    origin:  FRONTEND_URL,
-    methods: ["GET", "POST"],
+    origin:      FRONTEND_URL,
+    methods:     ["GET", "POST"],
+    credentials: true,
   },
   // Force WebSocket transport to match client config
   transports: ["websocket","polling"],
@@ -68,26 +159,738 @@ const io = new Server(server, {
 
 // ─── Express Middleware ───────────────────────────────────────────────────────
 
-app.use(cors({ origin: FRONTEND_URL }));
+// credentials: the session cookie rides along on /token and /logout
+app.use(cors({ origin: FRONTEND_URL, credentials: true }));
 app.use(express.json());
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
+// "error" and "warn" (abuse, refused events) are always shown; "info" only in development
 function log(level, ...args) {
   const prefix = `[Duo-fy ${new Date().toISOString()}]`;
-  if (level === "error") console.error(prefix, ...args);
-  else if (IS_DEV)       console.log(prefix, ...args);
+  if (level === "error")     console.error(prefix, ...args);
+  else if (level === "warn") console.warn(prefix, ...args);
+  else if (IS_DEV)           console.log(prefix, ...args);
+}
+
+// Store writes are fire-and-forget — the in-memory registry stays authoritative
+function persist(promise) {
+  promise.catch((err) => log("error", "Store write failed:", err.message));
+}
+
+// POST to Spotify's token endpoint, authenticated the way AUTH_FLOW requires:
+// "secret" sends Basic client credentials, "pkce" identifies by client_id only
+async function requestSpotifyToken(params) {
+  const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+  const body    = new URLSearchParams(params);
+  if (AUTH_FLOW === "secret") {
+    headers.Authorization =
+      "Basic " + Buffer.from(`${SPOTIFY_CLIENT_ID}:${SPOTIFY_CLIENT_SECRET}`).toString("base64");
+  } else {
+    body.set("client_id", SPOTIFY_CLIENT_ID);
+  }
+  const response = await axios.post(`${SPOTIFY_ACCOUNTS_URL}/api/token`, body, { headers });
+  return response.data;
+}
+
+// ─── Room Registry ────────────────────────────────────────────────────────────
+// Rooms live here instead of being derived from socket.io's adapter, so a room
+// outlives its members' sockets. A member whose socket drops keeps their slot
+// for ROOM_GRACE_MS and can reclaim it by presenting their session token.
+
+const rooms = new Map(); // roomId → { id, createdAt, expiresAt, savedExpiresAt, settings, members: Map<token, member>, vote }
+
+const roomGraceMs     = Number(ROOM_GRACE_MS);
+const roomTtlMs       = Number(ROOM_TTL_MS);
+const defaultCapacity = Number(ROOM_CAPACITY);
+const maxCapacity     = Number(MAX_ROOM_CAPACITY);
+
+// Who may send playback control: only the host, anyone, or anyone via a vote
+const DEFAULT_SETTINGS = { capacity: defaultCapacity, controlMode: "everyone", locked: false };
+
+// locked: nobody new may join, even with seats free — members can still come back
+function normalizeSettings(input = {}, current = DEFAULT_SETTINGS) {
+  const settings = { ...DEFAULT_SETTINGS, ...current };
+  if (Number.isInteger(input.capacity)) {
+    settings.capacity = Math.min(Math.max(input.capacity, 2), maxCapacity);
+  }
+  if (CONTROL_MODES.includes(input.controlMode)) settings.controlMode = input.controlMode;
+  if (typeof input.locked === "boolean") settings.locked = input.locked;
+  return settings;
+}
+
+// passcode: a hashed passcode (see hashPasscode), or null for an open room
+function createRoom(roomId, settings, passcode = null) {
+  const room = {
+    id:        roomId,
+    createdAt: Date.now(),
+    expiresAt: Date.now() + roomTtlMs,
+    passcode,
+    settings:  normalizeSettings(settings),
+    members:   new Map(),
+    queue:     [],
+    vote:      null,
+  };
+  rooms.set(roomId, room);
+  saveRoom(room);
+  return room;
+}
+
+// Joins, controls and queue changes keep a room open for another roomTtlMs.
+// The store only hears about it once the expiry has moved a minute (or a tenth
+// of the TTL, if that's shorter) past the one it last saved — savedExpiresAt.
+const TTL_SAVE_STEP_MS = Math.min(60 * 1000, roomTtlMs / 10);
+
+function touchRoom(room) {
+  room.expiresAt = Date.now() + roomTtlMs;
+  if (room.expiresAt - room.savedExpiresAt >= TTL_SAVE_STEP_MS) saveRoom(room);
+}
+
+function saveRoom(room) {
+  room.savedExpiresAt = room.expiresAt;
+  persist(store.saveRoom(room));
+}
+
+// Only these member fields are stored; the rest is per-connection
+function memberRecord({ token, id, userId, slot, role, profile }) {
+  return { token, id, userId, slot, role, profile };
+}
+
+// ─── Room Codes ───────────────────────────────────────────────────────────────
+// Only the server mints room codes, checked against every open room, so a
+// client can neither collide with nor claim a code it picked itself.
+// "chars" codes skip look-alikes (0/O, 1/I); "words" codes are easier to read out.
+// Codes are matched case-insensitively — people type them in.
+
+const ROOM_CODE_PATTERN  = /^[A-Za-z0-9][A-Za-z0-9-]{2,30}[A-Za-z0-9]$/;
+const CODE_ALPHABET      = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH        = 6;
+const CODE_ADJECTIVES    = [
+  "AMBER", "BRAVE", "BRIGHT", "CALM", "CLEVER", "COSMIC", "COZY", "CRISP",
+  "DREAMY", "EAGER", "FUNKY", "GENTLE", "GOLDEN", "HAPPY", "HAZY", "JAZZY",
+  "LUCKY", "LUNAR", "MELLOW", "MISTY", "NEON", "NIMBLE", "PLUCKY", "QUIET",
+  "ROSY", "RUSTIC", "SILVER", "SLEEPY", "SOLAR", "SUNNY", "SWIFT", "VELVET",
+];
+const CODE_NOUNS         = [
+  "BADGER", "BANJO", "CELLO", "COMET", "CORAL", "CRANE", "DRUM", "ECHO",
+  "FALCON", "FERN", "FINCH", "FLUTE", "GROOVE", "HARP", "LARK", "LOTUS",
+  "MAPLE", "MELODY", "OTTER", "PANDA", "PIANO", "RAVEN", "RHYTHM", "ROBIN",
+  "SPARROW", "TEMPO", "TIGER", "TULIP", "VINYL", "VIOLIN", "WALRUS", "WILLOW",
+];
+const CODE_ATTEMPTS      = 20;
+
+const pick = (list) => list[crypto.randomInt(list.length)];
+
+function randomRoomCode() {
+  if (ROOM_CODE_STYLE === "words") {
+    return `${pick(CODE_ADJECTIVES)}-${pick(CODE_NOUNS)}-${crypto.randomInt(10, 100)}`;
+  }
+  return Array.from({ length: CODE_LENGTH }, () => pick(CODE_ALPHABET)).join("");
+}
+
+// → an unused room code; throws if the code space looks exhausted
+function newRoomCode() {
+  for (let attempt = 0; attempt < CODE_ATTEMPTS; attempt++) {
+    const code = randomRoomCode();
+    if (!rooms.has(code)) return code;
+  }
+  throw new Error("No free room code found");
+}
+
+// → the canonical form of a code someone typed or linked, or null if it can't be one
+function normalizeRoomCode(input) {
+  if (typeof input !== "string") return null;
+  const code = input.trim().toUpperCase();
+  return ROOM_CODE_PATTERN.test(code) ? code : null;
+}
+
+// ─── Room Passcodes ───────────────────────────────────────────────────────────
+// A room created with a passcode asks every new member for it — unless they
+// come with a signed invite, which a member already vouched for. Only a salted
+// scrypt hash is kept: { salt, hash }, both base64url.
+
+const PASSCODE_MIN_LENGTH = 4;
+const PASSCODE_MAX_LENGTH = 64;
+const PASSCODE_KEY_LENGTH = 32;
+
+// → the passcode to hash, null when none was given, or undefined when it's unusable
+function normalizePasscode(input) {
+  if (input == null || input === "") return null;
+  if (typeof input !== "string") return undefined;
+  const passcode = input.trim();
+  return passcode.length >= PASSCODE_MIN_LENGTH && passcode.length <= PASSCODE_MAX_LENGTH ? passcode : undefined;
+}
+
+function hashPasscode(passcode) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(passcode, salt, PASSCODE_KEY_LENGTH);
+  return { salt: salt.toString("base64url"), hash: hash.toString("base64url") };
+}
+
+function passcodeMatches(room, input) {
+  const passcode = normalizePasscode(input);
+  if (!passcode) return false;
+  const expected = Buffer.from(room.passcode.hash, "base64url");
+  const actual   = crypto.scryptSync(passcode, Buffer.from(room.passcode.salt, "base64url"), PASSCODE_KEY_LENGTH);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// ─── Join Attempts ────────────────────────────────────────────────────────────
+// Unknown codes, bad invites and wrong passcodes count against both the
+// caller's IP and their Spotify account. Past joinFailureLimit within the
+// window, that caller can't join anything new until the window runs out —
+// guessing codes or passcodes stops paying off. Resuming your own slot is never blocked.
+
+const joinFailureLimit    = Number(JOIN_FAILURE_LIMIT);
+const joinFailureWindowMs = Number(JOIN_FAILURE_WINDOW_MS);
+
+const joinFailures = new Map(); // "ip:…" | "user:…" → { count, resetAt }
+
+function clientIp(socket) {
+  const forwarded = TRUST_PROXY === "true" && socket.handshake.headers["x-forwarded-for"];
+  return forwarded ? forwarded.split(",")[0].trim() : socket.handshake.address;
+}
+
+function joinAttemptKeys(socket) {
+  return [`ip:${clientIp(socket)}`, `user:${socket.data.user.id}`];
+}
+
+// → ms until these keys may try again, 0 when they're not blocked
+function joinBlockedFor(keys) {
+  const now = Date.now();
+  let wait  = 0;
+  for (const key of keys) {
+    const entry = joinFailures.get(key);
+    if (entry && entry.resetAt > now && entry.count >= joinFailureLimit) wait = Math.max(wait, entry.resetAt - now);
+  }
+  return wait;
+}
+
+function recordJoinFailure(keys) {
+  const now = Date.now();
+  for (const key of keys) {
+    const entry = joinFailures.get(key);
+    if (entry && entry.resetAt > now) entry.count++;
+    else joinFailures.set(key, { count: 1, resetAt: now + joinFailureWindowMs });
+  }
+}
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of joinFailures) if (entry.resetAt <= now) joinFailures.delete(key);
+}, 60 * 1000).unref();
+
+// What a refused join-room ack carries: { success: false, code, error }.
+// The code lets the client tell the cases apart (e.g. ask for a passcode).
+const JOIN_ERRORS = {
+  invalid_room:      "Invalid room ID.",
+  room_not_found:    "Room not found.",
+  invite_invalid:    "This invite link is invalid or has expired. Ask for a new one.",
+  session_expired:   "Your spot in this room has expired.",
+  room_locked:       "This room is locked — the host isn't letting anyone new in.",
+  room_full:         "Room is full.",
+  passcode_required: "This room needs a passcode.",
+  wrong_passcode:    "Wrong passcode.",
+  too_many_attempts: "Too many failed attempts.",
+};
+
+function joinError(code, detail) {
+  return { success: false, code, error: detail ? `${JOIN_ERRORS[code]} ${detail}` : JOIN_ERRORS[code] };
+}
+
+// ─── Member Profiles ──────────────────────────────────────────────────────────
+// What members tell each other about themselves. Name, avatar and tier come
+// from the socket's verified Spotify user (userProfile); the rest is
+// client-supplied, so each field is checked on its own and malformed values are ignored.
+const PRODUCTS = new Set(["premium", "free", "open"]);
+
+// input: { displayName?, avatarUrl?, product?, deviceReady? } — omitted fields keep current values
+function normalizeProfile(input = {}, current = {}) {
+  const profile = { displayName: null, avatarUrl: null, product: null, deviceReady: false, ...current };
+  if (typeof input.displayName === "string" && input.displayName.trim()) {
+    profile.displayName = input.displayName.trim().slice(0, 60);
+  }
+  if (input.avatarUrl === null || isValidImageUrl(input.avatarUrl)) profile.avatarUrl = input.avatarUrl;
+  if (PRODUCTS.has(input.product)) profile.product = input.product;
+  if (typeof input.deviceReady === "boolean") profile.deviceReady = input.deviceReady;
+  return profile;
+}
+
+function updateProfile(room, member, input) {
+  member.profile = normalizeProfile(input, member.profile);
+  persist(store.saveMember(room.id, memberRecord(member)));
+}
+
+// user: socket.data.user — its identity fields win over whatever the client sent;
+// ones the account doesn't have (no name or picture set) are left to the client
+function userProfile({ displayName, avatarUrl, product }) {
+  return Object.fromEntries(
+    Object.entries({ displayName, avatarUrl, product }).filter(([, value]) => value != null)
+  );
+}
+
+function publicMember({ id, slot, role, connected, profile }) {
+  return { id, slot, role, connected, ...profile };
+}
+
+function newMemberId() {
+  return crypto.randomBytes(6).toString("hex");
+}
+
+// member: { token, id, userId, slot, role, profile, socketId, connected, graceTimer, rttMs }
+// rttMs is the member's own clock-sync measurement, used to schedule starts
+// token is the secret session credential; id is safe to show other members;
+// userId is the Spotify account holding the slot — one slot per account per room
+function addMember(room, socketId, user, profile) {
+  const taken = new Set([...room.members.values()].map((m) => m.slot));
+  let slot = 0;
+  while (taken.has(slot)) slot++;
+
+  const member = {
+    token:      crypto.randomBytes(18).toString("base64url"),
+    id:         newMemberId(),
+    userId:     user.id,
+    slot,
+    role:       room.members.size === 0 ? "host" : "guest",
+    profile:    normalizeProfile({ ...profile, ...userProfile(user) }),
+    socketId,
+    connected:  true,
+    graceTimer: null,
+  };
+  room.members.set(member.token, member);
+  persist(store.saveMember(room.id, memberRecord(member)));
+  return member;
 }
 
-function spotifyAuthHeader() {
-  return (
-    "Basic " +
-    Buffer.from(`${SPOTIFY_CLIENT_ID}:${SPOTIFY_CLIENT_SECRET}`).toString("base64")
+function findMember(room, predicate) {
+  for (const member of room.members.values()) if (predicate(member)) return member;
+  return null;
+}
+
+function memberBySocket(roomId, socketId) {
+  const room = rooms.get(roomId);
+  return room ? findMember(room, (m) => m.socketId === socketId && m.connected) : null;
+}
+
+function setRole(room, member, role) {
+  member.role = role;
+  persist(store.saveMember(room.id, memberRecord(member)));
+}
+
+// Host left for good — hand the role to the longest-standing member still here
+function promoteNextHost(room) {
+  if (findMember(room, (m) => m.role === "host")) return;
+  const candidates = [...room.members.values()].sort((a, b) =>
+    (b.connected - a.connected) || (a.slot - b.slot)
   );
+  if (candidates[0]) setRole(room, candidates[0], "host");
+}
+
+function removeMember(room, token) {
+  const member = room.members.get(token);
+  if (!member) return;
+  clearTimeout(member.graceTimer);
+  room.members.delete(token);
+  persist(store.removeMember(room.id, token));
+  forgetDrift(room.id, member.socketId);
+  if (room.members.size === 0) return deleteRoom(room.id);
+
+  if (room.vote) recountVote(room);
+  promoteNextHost(room);
+  broadcastRoster(room);
+}
+
+function deleteRoom(roomId) {
+  const room = rooms.get(roomId);
+  for (const member of room?.members.values() ?? []) {
+    clearTimeout(member.graceTimer);
+  }
+  if (room?.vote) clearTimeout(room.vote.timer);
+  rooms.delete(roomId);
+  playbackStates.delete(roomId);
+  driftStats.delete(roomId);
+  endReports.delete(roomId);
+  persist(store.deleteRoom(roomId));
+  log("info", `Room closed: ${roomId}`);
+}
+
+// Idle rooms close for everyone still in them
+setInterval(() => {
+  const now = Date.now();
+  for (const room of rooms.values()) {
+    if (room.expiresAt > now) continue;
+    io.to(room.id).emit(SERVER_EVENTS.ROOM_EXPIRED, { roomId: room.id });
+    io.in(room.id).socketsLeave(room.id);
+    deleteRoom(room.id);
+  }
+}, 60 * 1000).unref();
+
+// A member whose socket is gone: hold the slot, then give it up
+function startGracePeriod(room, member) {
+  member.connected = false;
+  clearTimeout(member.graceTimer);
+  member.graceTimer = setTimeout(() => {
+    log("info", `Grace period over for slot ${member.slot} in room: ${room.id}`);
+    io.to(room.id).emit(SERVER_EVENTS.PARTNER_LEFT, { roomId: room.id, memberId: member.id });
+    removeMember(room, member.token);
+  }, roomGraceMs);
+}
+
+// After a restart nobody is connected yet — everyone gets a fresh grace period
+async function restoreRooms() {
+  const records = await store.listRooms();
+  for (const record of records) {
+    // Rooms stored before expiry existed get a full TTL from now
+    const expiresAt = record.expiresAt ?? Date.now() + roomTtlMs;
+    if (!record.members.length || expiresAt <= Date.now()) {
+      persist(store.deleteRoom(record.id));
+      continue;
+    }
+    const room = {
+      id:        record.id,
+      createdAt: record.createdAt,
+      expiresAt,
+      savedExpiresAt: record.expiresAt ?? 0, // 0: save on the first touch
+      passcode:  record.passcode ?? null,
+      settings:  normalizeSettings(record.settings),
+      members:   new Map(),
+      queue:     record.queue ?? [],
+      vote:      null,
+    };
+    rooms.set(room.id, room);
+    if (record.playback) playbackStates.set(room.id, record.playback);
+
+    for (const { token, id, userId, slot, role, profile } of record.members) {
+      const member = {
+        token,
+        id:         id ?? newMemberId(),
+        userId:     userId ?? null, // stored before socket auth — claimed by the next resume
+        slot,
+        role:       role ?? (slot === 0 ? "host" : "guest"),
+        // Nobody has a player loaded until they reconnect
+        profile:    { ...normalizeProfile(profile ?? {}), deviceReady: false },
+        socketId:   null,
+        connected:  false,
+        graceTimer: null,
+      };
+      room.members.set(token, member);
+      startGracePeriod(room, member);
+    }
+    promoteNextHost(room);
+  }
+  if (records.length) log("info", `Restored ${rooms.size} room(s) from ${STORE} store`);
+}
+
+// What every member may see about the room — never includes session tokens
+function publicRoom(room) {
+  const members = [...room.members.values()]
+    .sort((a, b) => a.slot - b.slot)
+    .map(publicMember);
+  return {
+    roomId:      room.id,
+    settings:    room.settings,
+    maxCapacity,
+    hostId:      findMember(room, (m) => m.role === "host")?.id ?? null,
+    members,
+    vote:        room.vote ? publicVote(room.vote) : null,
+    hasPasscode: !!room.passcode,
+  };
+}
+
+function broadcastRoster(room) {
+  io.to(room.id).emit(SERVER_EVENTS.ROOM_MEMBERS, publicRoom(room));
+}
+
+function newSessionAck(room, member) {
+  return {
+    success:      true,
+    roomId:       room.id,
+    sessionToken: member.token,
+    memberId:     member.id,
+    slot:         member.slot,
+    state:        getPlaybackState(room.id),
+    room:         publicRoom(room),
+    queue:        room.queue,
+  };
+}
+
+// ─── Room Playback State ──────────────────────────────────────────────────────
+// The server owns what each room is playing. Clients send intents through
+// "control"; the result is stored here and broadcast with a version number so
+// late or duplicated events can be ignored on the client.
+
+const playbackStates = new Map(); // roomId → { trackUri, durationMs, positionMs, isPlaying, updatedAt, version }
+
+function getPlaybackState(roomId) {
+  if (!playbackStates.has(roomId)) {
+    playbackStates.set(roomId, {
+      trackUri:   null,
+      durationMs: null,
+      positionMs: 0,
+      isPlaying:  false,
+      updatedAt:  Date.now(),
+      version:    0,
+    });
+  }
+  return playbackStates.get(roomId);
+}
+
+// Where playback is right now — extrapolated from the last update while playing
+// updatedAt may lie in the future for a scheduled start — hold at positionMs until then
+function currentPositionMs(state, now = Date.now()) {
+  return state.isPlaying ? state.positionMs + Math.max(0, now - state.updatedAt) : state.positionMs;
+}
+
+// startAt — server time the new state takes effect (defaults to now)
+function updatePlaybackState(roomId, { trackUri, trackName, durationMs, positionMs, isPlaying, startAt }) {
+  const prev = getPlaybackState(roomId);
+  const now  = Date.now();
+  const trackChanged = trackUri !== undefined && trackUri !== prev.trackUri;
+
+  const next = {
+    trackUri:   trackUri ?? prev.trackUri,
+    durationMs: trackChanged ? durationMs ?? null : prev.durationMs,
+    positionMs: positionMs ?? (trackChanged ? 0 : currentPositionMs(prev, now)),
+    isPlaying:  isPlaying ?? prev.isPlaying,
+    updatedAt:  startAt ?? now,
+    version:    prev.version + 1,
+  };
+
+  playbackStates.set(roomId, next);
+  persist(store.savePlayback(roomId, next));
+
+  // A new track starts a history entry
+  if (trackChanged && next.trackUri) {
+    persist(store.appendHistory(roomId, { trackUri: next.trackUri, trackName: trackName ?? null, startedAt: now }));
+  }
+  return next;
+}
+
+// ─── Shared Queue ─────────────────────────────────────────────────────────────
+// One queue per room, held here rather than in anyone's Spotify account, so
+// every member sees the same list. "next" (a control) pops its head.
+
+const QUEUE_LIMIT = 100;
+
+// track: { uri, name, artists?, albumArt?, durationMs? }, as the queue-add schema let it through
+function queueItem({ uri, name, artists, albumArt, durationMs }, member) {
+  return {
+    id:         crypto.randomBytes(6).toString("hex"),
+    uri,
+    name,
+    artists:    artists ?? null,
+    albumArt:   albumArt ?? null,
+    durationMs: durationMs ?? null,
+    addedBy:    member.id,
+    addedAt:    Date.now(),
+  };
+}
+
+// Guests may always touch their own items; the rest follows the control mode
+function canEditQueueItem(room, member, item) {
+  return item.addedBy === member.id || member.role === "host" || room.settings.controlMode === "everyone";
+}
+
+function saveQueue(room) {
+  touchRoom(room);
+  persist(store.saveQueue(room.id, room.queue));
+  io.to(room.id).emit(SERVER_EVENTS.QUEUE_UPDATED, { roomId: room.id, queue: room.queue });
+}
+
+// ─── Drift Tracking ───────────────────────────────────────────────────────────
+// Each client reports its player position on a heartbeat. Drift is measured
+// against the authoritative position at the report's (server-time) sample.
+
+const driftStats = new Map(); // roomId → Map<socketId, driftMs>
+
+const driftThresholdMs = Number(DRIFT_THRESHOLD_MS);
+const driftSeekMs      = Number(DRIFT_SEEK_MS);
+
+// Ahead by a little → pause briefly and let the room catch up ("nudge").
+// Behind, or far off either way → seek to the room position.
+function driftCorrection(driftMs) {
+  const abs = Math.abs(driftMs);
+  if (abs < driftThresholdMs) return null;
+  if (driftMs > 0 && abs < driftSeekMs) return "nudge";
+  return "seek";
+}
+
+function recordDrift(roomId, socketId, driftMs) {
+  if (!driftStats.has(roomId)) driftStats.set(roomId, new Map());
+  const members = driftStats.get(roomId);
+  members.set(socketId, driftMs);
+
+  const values = [...members.values()];
+  return {
+    roomId,
+    members:    Object.fromEntries(members),
+    maxDriftMs: Math.max(...values.map(Math.abs)),
+  };
+}
+
+function forgetDrift(roomId, socketId) {
+  driftStats.get(roomId)?.delete(socketId);
+}
+
+// Anything that starts audio is scheduled, so every member starts on the same instant
+const SCHEDULED_EVENTS = new Set(["play", "seek", "track"]);
+
+const startMarginMs = Number(START_MARGIN_MS);
+const MAX_START_LEAD_MS = 3000;
+const FALLBACK_RTT_MS   = 300; // until a member has reported a measured RTT
+
+// Long enough for the slowest connected member to receive the command and get Spotify ready
+function startLeadMs(room) {
+  const rtts = [...(room?.members.values() ?? [])]
+    .filter((m) => m.connected)
+    .map((m) => m.rttMs ?? FALLBACK_RTT_MS);
+  const slowest = rtts.length ? Math.max(...rtts) : FALLBACK_RTT_MS;
+  return Math.min(slowest + startMarginMs, MAX_START_LEAD_MS);
+}
+
+function isPlayingAfter(event) {
+  // Seek keeps the current play/pause state; a new track always starts playing
+  if (event === "play" || event === "track") return true;
+  if (event === "pause") return false;
+  return undefined;
+}
+
+// from — socket that sent it (it has already applied unscheduled changes), or null
+// memberId — the member who sent it, so clients can name them; null when the server acted
+// reason — set when the server acted on its own, e.g. "ended"
+function applyControl(roomId, control, from, { memberId = null, reason } = {}) {
+  // "next" plays whatever heads the queue now — it may have changed during a vote
+  if (control.event === "next") {
+    const room = rooms.get(roomId);
+    const item = room?.queue.shift();
+    if (!item) return;
+    saveQueue(room);
+    control = {
+      event:      "track",
+      trackUri:   item.uri,
+      trackName:  item.name,
+      durationMs: item.durationMs ?? undefined,
+      positionMs: 0,
+    };
+  }
+
+  const { event, positionMs, trackUri, trackName, durationMs } = control;
+  const playing = isPlayingAfter(event) ?? getPlaybackState(roomId).isPlaying;
+  const startAt = playing && SCHEDULED_EVENTS.has(event) ? Date.now() + startLeadMs(rooms.get(roomId)) : undefined;
+  const state = updatePlaybackState(roomId, {
+    trackUri,
+    trackName,
+    durationMs,
+    positionMs,
+    isPlaying: isPlayingAfter(event),
+    startAt,
+  });
+  touchRoom(rooms.get(roomId));
+
+  // Sender receives it too so it can record the new version
+  const payload = { roomId, from, memberId, state, timestamp: state.updatedAt };
+  if (event === "track" && trackName) payload.trackName = trackName;
+  if (reason) payload.reason = reason;
+  if (startAt) payload.startAt = startAt; // everyone, the sender included, starts then
+
+  const broadcast = CONTROL_ACTIONS[event];
+  io.to(roomId).emit(broadcast, payload);
+  log("info", `${broadcast} → room ${roomId} (v${state.version})`);
+}
+
+// ─── Track End ────────────────────────────────────────────────────────────────
+// Every member's player reports when the room's track finishes; the first
+// believable report moves the whole room on, later ones find a newer state.
+// Without a known duration nothing says a report is believable, so it's taken
+// from someone who could skip the track anyway, or once most of the room agrees.
+
+const TRACK_END_TOLERANCE_MS = 5000; // how early a report may come, given drift and polling
+
+const endReports = new Map(); // roomId → { version, memberIds } — reports on a track of unknown length
+
+// → true / false, or null when the duration is unknown and only the reporters can say
+function isTrackEnd(state, trackUri, now = Date.now()) {
+  if (!state.isPlaying || !state.trackUri || state.trackUri !== trackUri) return false;
+  if (!state.durationMs) return null;
+  return currentPositionMs(state, now) >= state.durationMs - TRACK_END_TOLERANCE_MS;
+}
+
+function confirmTrackEnd(room, member, state) {
+  if (room.settings.controlMode === "everyone" || member.role === "host") return true;
+  let reports = endReports.get(room.id);
+  if (reports?.version !== state.version) {
+    reports = { version: state.version, memberIds: new Set() };
+    endReports.set(room.id, reports);
+  }
+  reports.memberIds.add(member.id);
+  return reports.memberIds.size >= votesNeeded(room);
+}
+
+// Next from the shared queue, started together; with nothing queued the room
+// stops rather than letting each player's autoplay pick something different
+function advanceRoom(room) {
+  if (room.queue.length) {
+    applyControl(room.id, { event: "next" }, null, { reason: "ended" });
+    return;
+  }
+  const state = getPlaybackState(room.id);
+  applyControl(room.id, { event: "pause", positionMs: state.durationMs ?? currentPositionMs(state) }, null, { reason: "ended" });
+}
+
+// ─── Control Votes ────────────────────────────────────────────────────────────
+// In "vote" mode a guest's control becomes a proposal. It runs once a majority
+// of connected members agree (the proposer counts) and lapses after VOTE_TTL_MS.
+
+const VOTE_TTL_MS = 20000;
+
+function publicVote(vote) {
+  return {
+    id:        vote.id,
+    event:     vote.control.event,
+    trackName: vote.control.trackName ?? null,
+    byId:      vote.byId,
+    votes:     vote.voters.size,
+    needed:    vote.needed,
+    expiresAt: vote.expiresAt,
+  };
+}
+
+function votesNeeded(room) {
+  const connected = [...room.members.values()].filter((m) => m.connected).length;
+  return Math.floor(connected / 2) + 1;
+}
+
+function startVote(room, member, control) {
+  room.vote = {
+    id:        newMemberId(),
+    control,
+    byId:      member.id,
+    voters:    new Set([member.id]),
+    needed:    votesNeeded(room),
+    expiresAt: Date.now() + VOTE_TTL_MS,
+    timer:     setTimeout(() => endVote(room, false), VOTE_TTL_MS),
+  };
+  recountVote(room);
+}
+
+// Membership changed or someone voted — re-check the majority
+function recountVote(room) {
+  const vote = room.vote;
+  for (const id of vote.voters) {
+    if (!findMember(room, (m) => m.id === id)) vote.voters.delete(id);
+  }
+  vote.needed = votesNeeded(room);
+  if (vote.voters.size >= vote.needed) return endVote(room, true);
+  io.to(room.id).emit(SERVER_EVENTS.VOTE_UPDATED, { roomId: room.id, vote: publicVote(vote) });
 }
 
-function getRoomSize(roomId) {
-  return io.sockets.adapter.rooms.get(roomId)?.size ?? 0;
+function endVote(room, passed) {
+  const vote = room.vote;
+  if (!vote) return;
+  clearTimeout(vote.timer);
+  room.vote = null;
+  io.to(room.id).emit(SERVER_EVENTS.VOTE_ENDED, { roomId: room.id, voteId: vote.id, passed });
+  if (passed) applyControl(room.id, vote.control, null);
 }
 
 // ─── Health Check ─────────────────────────────────────────────────────────────
@@ -96,12 +899,274 @@ app.get("/health", (_req, res) => {
   res.json({ status: "ok", uptime: process.uptime() });
 });
 
+// ─── Listening History ────────────────────────────────────────────────────────
+// Only for listeners holding a slot in the room — the same people who can see
+// what it plays now. Anyone else gets a 404, so codes can't be probed here.
+// ?listener=demo-… (demo mode only) — as for /socket-token
+
+app.get("/rooms/:roomId/history", async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 50, 200);
+  try {
+    const session = await getSession(req);
+    if (!session) return res.status(401).json({ error: "Not logged in" });
+    const user = await requestUser(req, session);
+
+    const room = rooms.get(normalizeRoomCode(req.params.roomId));
+    if (!room || !findMember(room, (m) => m.userId === user.id)) {
+      return res.status(404).json({ error: "Room not found" });
+    }
+    res.json({ roomId: room.id, history: await store.getHistory(room.id, limit) });
+  } catch (err) {
+    log("error", "History read failed:", err.message);
+    res.status(500).json({ error: "Failed to load history" });
+  }
+});
+
+// ─── Auth Sessions ────────────────────────────────────────────────────────────
+// Spotify tokens stay on the server. The browser holds only an opaque session
+// id in an HttpOnly cookie and asks /token for a short-lived access token.
+
+const SESSION_COOKIE          = "duofy_sid";
+const sessionTtlMs            = Number(SESSION_TTL_MS);
+const TOKEN_REFRESH_MARGIN_MS = 60000; // refresh a little before Spotify's expiry
+
+const sessionCookieOptions = {
+  httpOnly: true,
+  sameSite: "lax",
+  secure:   !IS_DEV,
+  path:     "/",
+};
+
+function parseCookies(header = "") {
+  const cookies = {};
+  for (const part of header.split(";")) {
+    const i = part.indexOf("=");
+    if (i > 0) cookies[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return cookies;
+}
+
+// tokens: Spotify's token response — { access_token, refresh_token, expires_in }
+async function createSession(res, tokens) {
+  const session = {
+    id:           crypto.randomBytes(32).toString("base64url"),
+    refreshToken: tokens.refresh_token,
+    accessToken:  tokens.access_token,
+    expiresAt:    Date.now() + tokens.expires_in * 1000,
+    createdAt:    Date.now(),
+  };
+  await store.saveSession(session);
+  res.cookie(SESSION_COOKIE, session.id, { ...sessionCookieOptions, maxAge: sessionTtlMs });
+  return session;
+}
+
+// → the request's live session, or null; expired ones are dropped on sight
+async function getSession(req) {
+  const id = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (!id) return null;
+  const session = await store.getSession(id);
+  if (session && Date.now() - session.createdAt > sessionTtlMs) {
+    persist(store.deleteSession(id));
+    return null;
+  }
+  return session;
+}
+
+function endSession(res, session) {
+  if (session) persist(store.deleteSession(session.id));
+  res.clearCookie(SESSION_COOKIE, sessionCookieOptions);
+}
+
+function refreshSpotifyToken(refreshToken) {
+  return requestSpotifyToken({
+    grant_type:    "refresh_token",
+    refresh_token: refreshToken,
+  });
+}
+
+// Refreshes the session's access token when it's about to expire (or when forced)
+async function freshenSession(session, { force = false } = {}) {
+  if (!force && session.expiresAt - Date.now() >= TOKEN_REFRESH_MARGIN_MS) return session;
+  const data = await refreshSpotifyToken(session.refreshToken);
+  session.accessToken = data.access_token;
+  session.expiresAt   = Date.now() + data.expires_in * 1000;
+  // Spotify may rotate the refresh token
+  if (data.refresh_token) session.refreshToken = data.refresh_token;
+  await store.saveSession(session);
+  return session;
+}
+
+// The demo accounts service has no Web API — one stand-in user for every login
+const DEMO_USER = { id: "demo", displayName: "Demo listener", avatarUrl: null, product: "premium" };
+
+// → { id, displayName, avatarUrl, product } for the session's Spotify account —
+// looked up once, then kept on the session
+async function sessionUser(session) {
+  if (session.user) return session.user;
+  if (IS_DEMO) return DEMO_USER;
+
+  await freshenSession(session);
+  const { data } = await axios.get(`${SPOTIFY_API_URL}/me`, {
+    headers: { Authorization: `Bearer ${session.accessToken}` },
+  });
+  session.user = {
+    id:          data.id,
+    displayName: data.display_name ?? null,
+    avatarUrl:   data.images?.[0]?.url ?? null,
+    product:     data.product ?? null,
+  };
+  await store.saveSession(session);
+  return session.user;
+}
+
+// Demo tabs say which demo listener they are (?listener=demo-…, see the
+// client's demo/demoSpotify.js) — in demo mode that's who they are in rooms
+const DEMO_LISTENER_PATTERN = /^demo-[a-f0-9]{8}$/;
+
+async function requestUser(req, session) {
+  const user = await sessionUser(session);
+  if (IS_DEMO && DEMO_LISTENER_PATTERN.test(req.query.listener ?? "")) {
+    return { ...user, id: req.query.listener, displayName: null };
+  }
+  return user;
+}
+
+// Sessions past their lifetime that nobody came back for
+setInterval(() => {
+  persist(store.purgeSessions(Date.now() - sessionTtlMs));
+}, 60 * 60 * 1000).unref();
+
+// ─── OAuth State ──────────────────────────────────────────────────────────────
+// /login hands Spotify a `state` of  base64url({ nonce, exp, room, invite }).hmac  and sets a
+// short-lived HttpOnly cookie with the same nonce (plus the PKCE verifier).
+// /callback accepts a code only if the signature holds, the state hasn't expired
+// and the nonce matches this browser's cookie — a forged or replayed callback
+// can't log someone into another account. `room` and `invite` are the invite
+// link the user came from, handed back to the frontend once they're logged in.
+
+const OAUTH_COOKIE       = "duofy_oauth";
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+
+const oauthCookieOptions = { ...sessionCookieOptions, maxAge: OAUTH_STATE_TTL_MS };
+
+function sign(payload) {
+  return crypto.createHmac("sha256", OAUTH_STATE_SECRET).update(payload).digest("base64url");
+}
+
+// timingSafeEqual throws on buffers of different lengths — compare bytes, not
+// characters, or a signature with multibyte characters gets through to it
+function hasValidSignature(payload, signature = "") {
+  if (typeof signature !== "string") return false;
+  const given    = Buffer.from(signature);
+  const expected = Buffer.from(sign(payload));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// room: an invite's room code, or null; invite: its signed token, or null
+function createOAuthState(room, invite) {
+  const nonce   = crypto.randomBytes(16).toString("base64url");
+  const payload = Buffer.from(JSON.stringify({ nonce, exp: Date.now() + OAUTH_STATE_TTL_MS, room, invite })).toString("base64url");
+  return { nonce, state: `${payload}.${sign(payload)}` };
+}
+
+// → { room, invite } when the state is good, otherwise { error } with the auth_error code to report
+function readOAuthState(state, cookieNonce) {
+  if (typeof state !== "string" || !cookieNonce) return { error: "state_mismatch" };
+
+  const [payload, signature] = state.split(".");
+  if (!hasValidSignature(payload, signature)) return { error: "state_mismatch" };
+
+  let data;
+  try { data = JSON.parse(Buffer.from(payload, "base64url").toString()); } catch { return { error: "state_mismatch" }; }
+  if (data.nonce !== cookieNonce) return { error: "state_mismatch" };
+  if (!(data.exp > Date.now()))   return { error: "state_expired" };
+  return { room: data.room ?? null, invite: data.invite ?? null };
+}
+
+// PKCE: the verifier stays in our cookie, Spotify only sees its S256 hash
+function createPkcePair() {
+  const verifier  = crypto.randomBytes(48).toString("base64url");
+  const challenge = crypto.createHash("sha256").update(verifier).digest("base64url");
+  return { verifier, challenge };
+}
+
+// Back to the frontend — with the invite link's room and token, and auth_error when login failed
+function frontendRedirect(res, { room, invite, error } = {}) {
+  const params = new URLSearchParams();
+  if (room)   params.set("room", room);
+  if (invite) params.set("invite", invite);
+  if (error)  params.set("auth_error", error);
+  res.redirect(params.size ? `${FRONTEND_URL}?${params}` : FRONTEND_URL);
+}
+
+// ─── Socket Auth ──────────────────────────────────────────────────────────────
+// Every Socket.io connection must belong to a logged-in Spotify user. The
+// handshake proves it with the session cookie, or — when the frontend is on
+// another origin and the cookie doesn't ride along — with a short-lived token
+// from /socket-token:  base64url({ user, exp }).hmac
+// The verified user ends up in socket.data.user.
+
+const SOCKET_TOKEN_TTL_MS = 5 * 60 * 1000;
+
+function createSocketToken(user) {
+  const payload = Buffer.from(JSON.stringify({ user, exp: Date.now() + SOCKET_TOKEN_TTL_MS })).toString("base64url");
+  return `${payload}.${sign(payload)}`;
+}
+
+// → the token's user, or null when it's forged, malformed or expired
+function readSocketToken(token) {
+  if (typeof token !== "string") return null;
+  const [payload, signature] = token.split(".");
+  if (!hasValidSignature(payload, signature)) return null;
+  try {
+    const { user, exp } = JSON.parse(Buffer.from(payload, "base64url").toString());
+    return exp > Date.now() && typeof user?.id === "string" ? user : null;
+  } catch {
+    return null;
+  }
+}
+
+// ─── Room Invites ─────────────────────────────────────────────────────────────
+// A member asks for an invite ("create-invite") and shares the link:
+//   FRONTEND_URL/?room=CODE&invite=base64url({ room, exp }).hmac
+// The signature pins the link to its room and it stops working after
+// INVITE_TTL_MS. The code alongside is only for showing — the token decides.
+
+const inviteTtlMs = Number(INVITE_TTL_MS);
+
+// → { code, token, url, expiresAt }
+function createInvite(room) {
+  const expiresAt = Date.now() + inviteTtlMs;
+  const payload   = Buffer.from(JSON.stringify({ room: room.id, exp: expiresAt })).toString("base64url");
+  const token     = `${payload}.${sign(payload)}`;
+  const url       = new URL(FRONTEND_URL);
+  url.search      = new URLSearchParams({ room: room.id, invite: token });
+  return { code: room.id, token, url: url.href, expiresAt };
+}
+
+// → the invite's room code, or null when it's forged, malformed or expired
+function readInviteToken(token) {
+  if (typeof token !== "string") return null;
+  const [payload, signature] = token.split(".");
+  if (!hasValidSignature(payload, signature)) return null;
+  try {
+    const { room, exp } = JSON.parse(Buffer.from(payload, "base64url").toString());
+    return exp > Date.now() ? normalizeRoomCode(room) : null;
+  } catch {
+    return null;
+  }
+}
+
 /* ══════════════════════════════════════════════════════════════════════════════
    Spotify OAuth Routes
 ══════════════════════════════════════════════════════════════════════════════ */
 
+// Demo mode — /login sends the browser here instead of accounts.spotify.com
+if (IS_DEMO) app.use("/demo/accounts", createDemoAccounts({ clientId: SPOTIFY_CLIENT_ID }));
+
 // Step 1 — Redirect to Spotify login
-app.get("/login", (_req, res) => {
+// ?room=CODE&invite=TOKEN — where to send the user afterwards (an invite link)
+app.get("/login", (req, res) => {
   const scope = [
     "streaming",
     "user-read-email",
@@ -110,13 +1175,24 @@ app.get("/login", (_req, res) => {
     "user-read-playback-state",
   ].join(" ");
 
+  // A valid invite names its own room; a bare code is carried as typed
+  const invited = readInviteToken(req.query.invite);
+  const invite  = invited ? req.query.invite : null;
+  const room    = invited ?? normalizeRoomCode(req.query.room);
+  const { nonce, state } = createOAuthState(room, invite);
+  const pkce = AUTH_FLOW === "pkce" ? createPkcePair() : null;
+
+  res.cookie(OAUTH_COOKIE, JSON.stringify({ nonce, verifier: pkce?.verifier }), oauthCookieOptions);
+
   const authURL =
-    "https://accounts.spotify.com/authorize?" +
+    `${SPOTIFY_ACCOUNTS_URL}/authorize?` +
     new URLSearchParams({
       response_type: "code",
       client_id:     SPOTIFY_CLIENT_ID,
       scope,
       redirect_uri:  SPOTIFY_REDIRECT_URI,
+      state,
+      ...(pkce && { code_challenge_method: "S256", code_challenge: pkce.challenge }),
     });
 
   res.redirect(authURL);
@@ -124,171 +1200,583 @@ app.get("/login", (_req, res) => {
 
 // Step 2 — OAuth callback
 app.get("/callback", async (req, res) => {
-  const { code, error } = req.query;
+  const { code, error, state } = req.query;
 
-  if (error || !code) {
-    log("error", "Spotify denied access:", error);
-    return res.redirect(`${FRONTEND_URL}?auth_error=access_denied`);
-  }
+  // One attempt per /login — the cookie is spent whatever happens next
+  let pending = null;
+  try { pending = JSON.parse(parseCookies(req.headers.cookie)[OAUTH_COOKIE] ?? "null"); } catch { /* treated as missing */ }
+  res.clearCookie(OAUTH_COOKIE, sessionCookieOptions);
 
+  let room   = null;
+  let invite = null;
   try {
-    const response = await axios.post(
-      "https://accounts.spotify.com/api/token",
-      new URLSearchParams({
-        grant_type:   "authorization_code",
-        code,
-        redirect_uri: SPOTIFY_REDIRECT_URI,
-      }),
-      {
-        headers: {
-          Authorization:  spotifyAuthHeader(),
-          "Content-Type": "application/x-www-form-urlencoded",
-        },
-      }
-    );
+    // An unverified state's room isn't trusted either
+    const verified = readOAuthState(state, pending?.nonce);
+    if (verified.error) {
+      log("error", "OAuth state rejected:", verified.error);
+      return frontendRedirect(res, { error: verified.error });
+    }
+    ({ room, invite } = verified);
+
+    if (error || !code) {
+      log("error", "Spotify denied access:", error);
+      return frontendRedirect(res, { room, invite, error: "access_denied" });
+    }
+
+    if (AUTH_FLOW === "pkce" && !pending.verifier) return frontendRedirect(res, { error: "state_mismatch" });
 
-    const { access_token, refresh_token, expires_in } = response.data;
+    const tokens = await requestSpotifyToken({
+      grant_type:   "authorization_code",
+      code,
+      redirect_uri: SPOTIFY_REDIRECT_URI,
+      ...(AUTH_FLOW === "pkce" && { code_verifier: pending.verifier }),
+    });
 
-    // Tokens go in URL params — acceptable for SPAs; upgrade to HttpOnly
-    // cookies for higher security in the future.
-    res.redirect(
-      `${FRONTEND_URL}/?access_token=${access_token}` +
-      `&refresh_token=${refresh_token}&expires_in=${expires_in}`
-    );
+    // Tokens stay here — the frontend only gets the session cookie
+    const session = await createSession(res, tokens);
+    // Who logged in — the socket handshake needs it; retried on demand if Spotify is slow now
+    await sessionUser(session).catch((err) => log("error", "Spotify profile lookup failed:", err.message));
+    frontendRedirect(res, { room, invite });
   } catch (err) {
     log("error", "Spotify token exchange failed:", err.response?.data?.error ?? err.message);
-    res.redirect(`${FRONTEND_URL}?auth_error=token_exchange_failed`);
+    frontendRedirect(res, { room, invite, error: "token_exchange_failed" });
   }
 });
 
-// Step 3 — Refresh access token
-app.get("/refresh", async (req, res) => {
-  const { refresh_token } = req.query;
+// Step 3 — Short-lived access token for the session (Web Playback SDK + Web API)
+// ?refresh=1 — Spotify rejected the current one; refresh even if it looks unexpired
+app.get("/token", async (req, res) => {
+  res.set("Cache-Control", "no-store");
+
+  let session;
+  try {
+    session = await getSession(req);
+    if (!session) return res.status(401).json({ error: "Not logged in" });
+
+    await freshenSession(session, { force: req.query.refresh === "1" });
 
-  if (!refresh_token) {
-    return res.status(400).json({ error: "refresh_token is required" });
+    res.json({
+      access_token: session.accessToken,
+      expires_in:   Math.floor((session.expiresAt - Date.now()) / 1000),
+    });
+  } catch (err) {
+    const reason = err.response?.data?.error ?? err.message;
+    log("error", "Token refresh failed:", reason);
+    // Access was revoked on Spotify's side — this session can never refresh again
+    if (reason === "invalid_grant") {
+      endSession(res, session);
+      return res.status(401).json({ error: "Spotify access was revoked" });
+    }
+    res.status(502).json({ error: "Failed to refresh token" });
   }
+});
 
+// Step 4 — Log out: forget the tokens and the cookie
+app.post("/logout", async (req, res) => {
   try {
-    const response = await axios.post(
-      "https://accounts.spotify.com/api/token",
-      new URLSearchParams({
-        grant_type: "refresh_token",
-        refresh_token,
-      }),
-      {
-        headers: {
-          Authorization:  spotifyAuthHeader(),
-          "Content-Type": "application/x-www-form-urlencoded",
-        },
-      }
-    );
+    endSession(res, await getSession(req));
+  } catch (err) {
+    log("error", "Logout failed:", err.message);
+    res.clearCookie(SESSION_COOKIE, sessionCookieOptions);
+  }
+  res.status(204).end();
+});
 
-    // Return only what the client needs
-    const { access_token, expires_in } = response.data;
-    res.json({ access_token, expires_in });
+// Step 5 — Socket token: proves the session to the Socket.io handshake
+// ?listener=demo-… (demo mode only) — the tab's demo listener, its own user in rooms
+app.get("/socket-token", async (req, res) => {
+  res.set("Cache-Control", "no-store");
+  try {
+    const session = await getSession(req);
+    if (!session) return res.status(401).json({ error: "Not logged in" });
+
+    const user = await requestUser(req, session);
+    res.json({ token: createSocketToken(user), expires_in: SOCKET_TOKEN_TTL_MS / 1000 });
   } catch (err) {
-    log("error", "Token refresh failed:", err.response?.data?.error ?? err.message);
-    res.status(500).json({ error: "Failed to refresh token" });
+    log("error", "Socket token failed:", err.response?.data?.error ?? err.message);
+    res.status(502).json({ error: "Failed to load your Spotify profile" });
   }
 });
 
+// ─── Socket Events ────────────────────────────────────────────────────────────
+// What each client event may carry is part of the protocol (CLIENT_PAYLOADS);
+// how often it may come is ours to decide (token buckets — burst, then
+// perSecond). Handlers are registered through the pipeline (see
+// events/pipeline.js), so anything malformed or over a limit is refused before
+// it reaches them, with { success: false, code, error }.
+
+// Roughly: room lifecycle calls are rare, playback controls come in bursts of
+// taps, and the heartbeat and clock pings run on timers (see the client's socket.js)
+const EVENT_LIMITS = {
+  [CLIENT_EVENTS.TIME_SYNC]:       { socket: { burst: 12, perSecond: 1 } },
+  [CLIENT_EVENTS.CREATE_ROOM]:     { socket: { burst: 3, perSecond: 0.1 }, user: { burst: 5, perSecond: 0.05 } },
+  [CLIENT_EVENTS.JOIN_ROOM]:       { socket: { burst: 5, perSecond: 0.5 }, user: { burst: 10, perSecond: 0.5 } },
+  [CLIENT_EVENTS.CREATE_INVITE]:   { socket: { burst: 5, perSecond: 0.2 } },
+  [CLIENT_EVENTS.REQUEST_STATE]:   { socket: { burst: 10, perSecond: 2 } },
+  [CLIENT_EVENTS.UPDATE_PROFILE]:  { socket: { burst: 10, perSecond: 2 } },
+  [CLIENT_EVENTS.TRANSFER_HOST]:   { socket: { burst: 5, perSecond: 1 } },
+  [CLIENT_EVENTS.UPDATE_SETTINGS]: { socket: { burst: 5, perSecond: 1 }, room: { burst: 10, perSecond: 2 } },
+  [CLIENT_EVENTS.CAST_VOTE]:       { socket: { burst: 5, perSecond: 1 } },
+  [CLIENT_EVENTS.QUEUE_ADD]:       { socket: { burst: 10, perSecond: 2 }, room: { burst: 20, perSecond: 4 } },
+  [CLIENT_EVENTS.QUEUE_REMOVE]:    { socket: { burst: 10, perSecond: 2 }, room: { burst: 20, perSecond: 4 } },
+  [CLIENT_EVENTS.QUEUE_MOVE]:      { socket: { burst: 10, perSecond: 2 }, room: { burst: 20, perSecond: 4 } },
+  [CLIENT_EVENTS.LEAVE_ROOM]:      { socket: { burst: 5, perSecond: 1 } },
+  [CLIENT_EVENTS.CONTROL]:         { socket: { burst: 6, perSecond: 2 }, room: { burst: 10, perSecond: 4 } },
+  [CLIENT_EVENTS.TRACK_ENDED]:     { socket: { burst: 5, perSecond: 1 } },
+  [CLIENT_EVENTS.SYNC_REPORT]:     { socket: { burst: 5, perSecond: 2 } },
+  [CLIENT_EVENTS.REACTION]:        { socket: { burst: 8, perSecond: 3 }, room: { burst: 16, perSecond: 6 } },
+};
+
+const eventPipeline = createEventPipeline({ schemas: CLIENT_PAYLOADS, limits: EVENT_LIMITS, log });
+
 /* ══════════════════════════════════════════════════════════════════════════════
    Socket.io — Room & Playback Logic
 ══════════════════════════════════════════════════════════════════════════════ */
 
-const MAX_ROOM_SIZE = 2; // Only two people per room
+// Handshake: a client built for another protocol version is turned away first —
+// it can't talk to us, and reloading gets it the current bundle
+io.use((socket, next) => {
+  const { protocol } = socket.handshake.auth ?? {};
+  if (protocol === PROTOCOL_VERSION) return next();
+  log("info", `Refused socket on protocol ${protocol ?? "(none)"} — server speaks ${PROTOCOL_VERSION}`);
+  next(Object.assign(new Error(PROTOCOL_MISMATCH), { data: { protocol: PROTOCOL_VERSION } }));
+});
+
+// Handshake: auth.token from /socket-token, else the session cookie
+io.use(async (socket, next) => {
+  try {
+    const { token } = socket.handshake.auth ?? {};
+    let user = token ? readSocketToken(token) : null;
+    if (!user && !token) {
+      const session = await getSession(socket.handshake);
+      user = session && await sessionUser(session);
+    }
+    if (!user) return next(new Error("unauthorized"));
+    socket.data.user = user;
+    next();
+  } catch (err) {
+    log("error", "Socket auth failed:", err.message);
+    next(new Error("unauthorized"));
+  }
+});
 
 io.on("connection", (socket) => {
-  log("info", `Socket connected: ${socket.id}`);
+  const { user } = socket.data;
+  log("info", `Socket connected: ${socket.id} (user ${user.id})`);
+
+  // Client events go through the pipeline — see EVENT_LIMITS
+  const on = eventPipeline.bind(socket);
+
+  // Track which room + membership this socket holds (one room per socket)
+  let currentRoom  = null;
+  let currentToken = null;
+
+  // Also run before creating or joining another room — the old slot would
+  // otherwise stay "connected" to this socket forever
+  function leaveCurrentRoom() {
+    const roomId = currentRoom;
+    socket.leave(roomId);
+
+    const room   = rooms.get(roomId);
+    const member = room?.members.get(currentToken);
+    currentRoom  = null;
+    currentToken = null;
+    // This tab's slot moved to another connection of the same user — not a leave
+    if (member && member.socketId !== socket.id) return;
+
+    socket.to(roomId).emit(SERVER_EVENTS.PARTNER_LEFT, { roomId, memberId: member?.id ?? null });
+    if (member) removeMember(room, member.token);
+    log("info", `Socket ${socket.id} left room: ${roomId}`);
+  }
+
+  // ── Clock Sync ─────────────────────────────────────────────────────────────
+  // Clients run repeated round trips against this to estimate offset + RTT,
+  // and pass along their latest median RTT so starts can be scheduled around it
+  on(CLIENT_EVENTS.TIME_SYNC, ({ rtt }, callback) => {
+    if (typeof callback !== "function") return;
+    callback({ serverTime: Date.now() });
 
-  // Track which room this socket is in (one room per socket)
-  let currentRoom = null;
+    const member = currentRoom ? rooms.get(currentRoom)?.members.get(currentToken) : null;
+    if (member && rtt !== undefined) member.rttMs = Math.min(rtt, MAX_START_LEAD_MS);
+  });
 
   // ── Create Room ────────────────────────────────────────────────────────────
-  socket.on("create-room", ({ roomId } = {}, callback) => {
+  // The server picks the code (see newRoomCode) — it comes back as the ack's roomId.
+  // settings: { capacity, controlMode, locked } — optional, see normalizeSettings
+  // passcode: optional, asked of everyone who joins without an invite
+  // Remaining fields are the creator's profile, see normalizeProfile
+  on(CLIENT_EVENTS.CREATE_ROOM, ({ settings, passcode, ...profile }, callback) => {
     if (typeof callback !== "function") return;
-    if (!roomId || typeof roomId !== "string") {
-      return callback({ success: false, error: "Invalid room ID." });
+    const code = normalizePasscode(passcode);
+    if (code === undefined) {
+      return callback({
+        success: false,
+        error:   `Passcodes are ${PASSCODE_MIN_LENGTH}–${PASSCODE_MAX_LENGTH} characters.`,
+      });
     }
 
-    // Don't allow re-creating an existing room with occupants
-    if (getRoomSize(roomId) > 0) {
-      return callback({ success: false, error: "Room ID already in use." });
+    let roomId;
+    try {
+      roomId = newRoomCode();
+    } catch (err) {
+      log("error", "Room code minting failed:", err.message);
+      return callback({ success: false, error: "Couldn't create a room right now. Try again." });
     }
 
+    if (currentRoom) leaveCurrentRoom();
+    const room   = createRoom(roomId, settings, code && hashPasscode(code));
+    const member = addMember(room, socket.id, user, profile);
+
     socket.join(roomId);
-    currentRoom = roomId;
+    currentRoom  = roomId;
+    currentToken = member.token;
     log("info", `Room created: ${roomId} by ${socket.id}`);
-    callback({ success: true, roomId });
+    callback(newSessionAck(room, member));
   });
 
   // ── Join Room ──────────────────────────────────────────────────────────────
-  socket.on("join-room", ({ roomId } = {}, callback) => {
+  // With a sessionToken this is a resume: same slot, no "partner-joined".
+  // A user who already holds a slot gets it back too — from another tab or
+  // device, in which case that connection is dropped from the room.
+  // invite: an invite link's token — its room wins over roomId, and it stands in for the passcode
+  // passcode: for a room that has one (see create-room)
+  // Refusals carry a code, see JOIN_ERRORS
+  on(CLIENT_EVENTS.JOIN_ROOM, ({ roomId: requested, invite, passcode, sessionToken, ...profile }, callback) => {
     if (typeof callback !== "function") return;
-    if (!roomId || typeof roomId !== "string") {
-      return callback({ success: false, error: "Invalid room ID." });
+    const attemptKeys = joinAttemptKeys(socket);
+    const blockedMs   = joinBlockedFor(attemptKeys);
+    const tooMany     = () => joinError("too_many_attempts", `Try again in ${Math.ceil(blockedMs / 60000)} min.`);
+    // A guess that missed — blocked callers don't even learn whether it would have hit
+    const failed = (code) => {
+      if (blockedMs) return callback(tooMany());
+      recordJoinFailure(attemptKeys);
+      log("info", `Failed join (${code}) by user ${user.id} from ${clientIp(socket)}`);
+      callback(joinError(code));
+    };
+
+    const roomId = invite == null ? normalizeRoomCode(requested) : readInviteToken(invite);
+    if (invite != null && !roomId) return failed("invite_invalid");
+    if (!roomId) return callback(joinError("invalid_room"));
+
+    const room = rooms.get(roomId);
+    if (!room) return failed("room_not_found");
+
+    const byToken = sessionToken ? room.members.get(sessionToken) : null;
+    // Don't silently turn an expired resume into a fresh join — nor resume someone else's slot
+    if (sessionToken && (!byToken || (byToken.userId && byToken.userId !== user.id))) {
+      return callback(joinError("session_expired"));
     }
+    const returning = byToken ?? findMember(room, (m) => m.userId === user.id);
+    if (returning) {
+      clearTimeout(returning.graceTimer);
+      if (returning.connected && returning.socketId !== socket.id) {
+        const previous = io.sockets.sockets.get(returning.socketId);
+        previous?.leave(roomId);
+        previous?.emit(SERVER_EVENTS.SESSION_REPLACED, { roomId });
+        forgetDrift(roomId, returning.socketId);
+      }
+      if (currentRoom && currentRoom !== roomId) leaveCurrentRoom();
+      returning.graceTimer = null;
+      returning.connected  = true;
+      returning.socketId   = socket.id;
+      returning.userId     = user.id;
+      updateProfile(room, returning, { ...profile, ...userProfile(user) });
+      touchRoom(room);
 
-    const size = getRoomSize(roomId);
+      socket.join(roomId);
+      currentRoom  = roomId;
+      currentToken = returning.token;
+      log("info", `Socket ${socket.id} resumed slot ${returning.slot} in room: ${roomId}`);
 
-    if (size === 0) {
-      return callback({ success: false, error: "Room not found." });
+      socket.to(roomId).emit(SERVER_EVENTS.PARTNER_RECONNECTED, { roomId, memberId: returning.id });
+      if (room.vote) recountVote(room);
+      broadcastRoster(room);
+      return callback({ ...newSessionAck(room, returning), resumed: true });
     }
-    if (size >= MAX_ROOM_SIZE) {
-      return callback({ success: false, error: "Room is full." });
+
+    // From here on it's someone new
+    if (blockedMs) return callback(tooMany());
+    if (room.settings.locked) return callback(joinError("room_locked"));
+    // Members in their grace period still hold a seat
+    if (room.members.size >= room.settings.capacity) return callback(joinError("room_full"));
+    if (room.passcode && invite == null) {
+      if (passcode == null || passcode === "") return callback(joinError("passcode_required"));
+      if (!passcodeMatches(room, passcode)) return failed("wrong_passcode");
     }
 
+    if (currentRoom) leaveCurrentRoom();
+    const member = addMember(room, socket.id, user, profile);
+    touchRoom(room);
     socket.join(roomId);
-    currentRoom = roomId;
+    currentRoom  = roomId;
+    currentToken = member.token;
     log("info", `Socket ${socket.id} joined room: ${roomId}`);
 
-    // Notify the other partner
-    socket.to(roomId).emit("partner-joined");
+    // Notify everyone already here
+    socket.to(roomId).emit(SERVER_EVENTS.PARTNER_JOINED, { roomId, memberId: member.id, ...publicMember(member) });
+    if (room.vote) recountVote(room);
+    broadcastRoster(room);
+
+    callback(newSessionAck(room, member));
+  });
+
+  // ── Invite Link ────────────────────────────────────────────────────────────
+  // Any member may invite — ack: { success, code, url, expiresAt }
+  on(CLIENT_EVENTS.CREATE_INVITE, ({ roomId }, callback) => {
+    if (typeof callback !== "function") return;
+    const room = rooms.get(roomId);
+    if (!room || !memberBySocket(roomId, socket.id)) {
+      return callback({ success: false, error: "Not in this room." });
+    }
+    const { code, url, expiresAt } = createInvite(room);
+    callback({ success: true, code, url, expiresAt });
+  });
+
+  // ── Playback State ─────────────────────────────────────────────────────────
+  // Lets a member (re)load the authoritative state, e.g. after mounting the room
+  on(CLIENT_EVENTS.REQUEST_STATE, ({ roomId }, callback) => {
+    if (typeof callback !== "function") return;
+    // Not socket.rooms — every socket is also in a room named after its own id
+    const member = memberBySocket(roomId, socket.id);
+    if (!member) {
+      return callback({ success: false, error: "Not in this room." });
+    }
+    callback({
+      success:  true,
+      state:    getPlaybackState(roomId),
+      room:     publicRoom(rooms.get(roomId)),
+      queue:    rooms.get(roomId).queue,
+      memberId: member.id,
+    });
+  });
+
+  // ── Profile ────────────────────────────────────────────────────────────────
+  // Partial updates, e.g. { deviceReady: true } once the web player is up
+  on(CLIENT_EVENTS.UPDATE_PROFILE, ({ roomId, ...profile }, callback) => {
+    const reply  = typeof callback === "function" ? callback : () => {};
+    const room   = rooms.get(roomId);
+    const member = memberBySocket(roomId, socket.id);
+    if (!room || !member) return reply({ success: false, error: "Not in this room." });
+
+    updateProfile(room, member, { ...profile, ...userProfile(user) });
+    io.to(roomId).emit(SERVER_EVENTS.MEMBER_UPDATED, { roomId, member: publicMember(member) });
+    reply({ success: true, member: publicMember(member) });
+  });
+
+  // ── Roles & Settings ───────────────────────────────────────────────────────
+  on(CLIENT_EVENTS.TRANSFER_HOST, ({ roomId, memberId }, callback) => {
+    const reply = typeof callback === "function" ? callback : () => {};
+    const room  = rooms.get(roomId);
+    const me    = memberBySocket(roomId, socket.id);
+    if (!room || me?.role !== "host") {
+      return reply({ success: false, error: "Only the host can hand over hosting." });
+    }
+    const next = findMember(room, (m) => m.id === memberId);
+    if (!next || next === me) {
+      return reply({ success: false, error: "That listener isn't in the room." });
+    }
+
+    setRole(room, me, "guest");
+    setRole(room, next, "host");
+    broadcastRoster(room);
+    log("info", `Host of room ${roomId} → member ${next.id}`);
+    reply({ success: true });
+  });
+
+  on(CLIENT_EVENTS.UPDATE_SETTINGS, ({ roomId, settings }, callback) => {
+    const reply = typeof callback === "function" ? callback : () => {};
+    const room  = rooms.get(roomId);
+    if (!room || memberBySocket(roomId, socket.id)?.role !== "host") {
+      return reply({ success: false, error: "Only the host can change room settings." });
+    }
+    if (Number.isInteger(settings.capacity) && settings.capacity < room.members.size) {
+      return reply({ success: false, error: "Capacity is below the number of listeners." });
+    }
+
+    room.settings = normalizeSettings(settings, room.settings);
+    saveRoom(room);
+    if (room.vote && room.settings.controlMode !== "vote") endVote(room, false);
+    broadcastRoster(room);
+    reply({ success: true, settings: room.settings });
+  });
+
+  on(CLIENT_EVENTS.CAST_VOTE, ({ roomId, voteId }) => {
+    const room   = rooms.get(roomId);
+    const member = memberBySocket(roomId, socket.id);
+    if (!room?.vote || !member || room.vote.id !== voteId) return;
+    room.vote.voters.add(member.id);
+    recountVote(room);
+  });
+
+  // ── Shared Queue ───────────────────────────────────────────────────────────
+  on(CLIENT_EVENTS.QUEUE_ADD, ({ roomId, track }, callback) => {
+    const reply  = typeof callback === "function" ? callback : () => {};
+    const room   = rooms.get(roomId);
+    const member = memberBySocket(roomId, socket.id);
+    if (!room || !member) return reply({ success: false, error: "Not in this room." });
+    if (room.queue.length >= QUEUE_LIMIT) return reply({ success: false, error: "The queue is full." });
+
+    const item = queueItem(track, member);
+    room.queue.push(item);
+    saveQueue(room);
+    reply({ success: true, item });
+  });
+
+  on(CLIENT_EVENTS.QUEUE_REMOVE, ({ roomId, itemId }, callback) => {
+    const reply  = typeof callback === "function" ? callback : () => {};
+    const room   = rooms.get(roomId);
+    const member = memberBySocket(roomId, socket.id);
+    if (!room || !member) return reply({ success: false, error: "Not in this room." });
+
+    const index = room.queue.findIndex((item) => item.id === itemId);
+    if (index === -1) return reply({ success: false, error: "That track isn't queued." });
+    if (!canEditQueueItem(room, member, room.queue[index])) {
+      return reply({ success: false, error: "Only the host can remove other people's tracks." });
+    }
+
+    room.queue.splice(index, 1);
+    saveQueue(room);
+    reply({ success: true });
+  });
+
+  // toIndex is the item's position after the move (clamped to the queue)
+  on(CLIENT_EVENTS.QUEUE_MOVE, ({ roomId, itemId, toIndex }, callback) => {
+    const reply  = typeof callback === "function" ? callback : () => {};
+    const room   = rooms.get(roomId);
+    const member = memberBySocket(roomId, socket.id);
+    if (!room || !member) return reply({ success: false, error: "Not in this room." });
+
+    const index = room.queue.findIndex((item) => item.id === itemId);
+    if (index === -1) return reply({ success: false, error: "That track isn't queued." });
+    if (member.role !== "host" && room.settings.controlMode !== "everyone") {
+      return reply({ success: false, error: "Only the host can reorder the queue." });
+    }
 
-    callback({ success: true, roomId });
+    const [item] = room.queue.splice(index, 1);
+    room.queue.splice(Math.min(Math.max(toIndex, 0), room.queue.length), 0, item);
+    saveQueue(room);
+    reply({ success: true });
   });
 
   // ── Leave Room ─────────────────────────────────────────────────────────────
-  socket.on("leave-room", ({ roomId } = {}) => {
-    if (!roomId) return;
-    socket.leave(roomId);
-    socket.to(roomId).emit("partner-left");
-    currentRoom = null;
-    log("info", `Socket ${socket.id} left room: ${roomId}`);
+  on(CLIENT_EVENTS.LEAVE_ROOM, ({ roomId }) => {
+    if (roomId === currentRoom) leaveCurrentRoom();
   });
 
   // ── Playback Control ───────────────────────────────────────────────────────
-  socket.on("control", ({ event, roomId, timestamp } = {}) => {
-    // Validate payload
-    if (!roomId || !event) return;
-    if (!["play", "pause"].includes(event)) return;
+  // Optional ack: { success, pending? } — pending means a vote was opened
+  on(CLIENT_EVENTS.CONTROL, ({ event, roomId, positionMs, trackUri, trackName, durationMs }, callback) => {
+    const reply = typeof callback === "function" ? callback : () => {};
+
+    // The schema checks each field; these depend on the event
+    if ((event === "seek" && positionMs === undefined) || (event === "track" && trackUri === undefined)) {
+      return reply({ success: false, code: "invalid_payload", error: `Invalid control request — ${event} needs ${event === "seek" ? "positionMs" : "trackUri"}.` });
+    }
 
     // Ensure sender is actually in the room they claim
-    if (!socket.rooms.has(roomId)) {
+    const member = memberBySocket(roomId, socket.id);
+    if (!member || !socket.rooms.has(roomId)) {
       log("info", `Unauthorized control attempt by ${socket.id} for room ${roomId}`);
-      return;
+      return reply({ success: false, error: "Not in this room." });
     }
 
-    const payload = { roomId, timestamp: timestamp ?? Date.now() };
+    const room    = rooms.get(roomId);
+    const control = { event, positionMs, trackUri, trackName, durationMs };
+    const mode    = room.settings.controlMode;
+
+    if (event === "next") {
+      if (!room.queue.length) return reply({ success: false, error: "The queue is empty." });
+      control.trackName = room.queue[0].name; // shown if it goes to a vote
+    }
 
-    if (event === "play") {
-      io.to(roomId).emit("sync-play", payload);
-      log("info", `sync-play → room ${roomId}`);
-    } else {
-      io.to(roomId).emit("sync-pause", payload);
-      log("info", `sync-pause → room ${roomId}`);
+    if (mode === "everyone" || member.role === "host") {
+      // Nobody has played the queued track yet, so "next" goes to everyone
+      applyControl(roomId, control, event === "next" ? null : socket.id, { memberId: member.id });
+      return reply({ success: true });
+    }
+    if (mode === "host") {
+      return reply({ success: false, error: "Only the host can control playback." });
+    }
+    if (room.vote) {
+      return reply({ success: false, error: "A vote is already in progress." });
     }
+
+    startVote(room, member, control);
+    reply({ success: true, pending: !!room.vote });
+  });
+
+  // ── Track End ──────────────────────────────────────────────────────────────
+  // Not a control: the song finishing isn't anyone's decision — unless its length
+  // is unknown, when the control mode decides whose word is enough (see confirmTrackEnd)
+  on(CLIENT_EVENTS.TRACK_ENDED, ({ roomId, trackUri }, callback) => {
+    const reply  = typeof callback === "function" ? callback : () => {};
+    const room   = rooms.get(roomId);
+    const member = memberBySocket(roomId, socket.id);
+    if (!room || !member) {
+      return reply({ success: false, error: "Not in this room." });
+    }
+    const state = getPlaybackState(roomId);
+    const ended = isTrackEnd(state, trackUri) ?? confirmTrackEnd(room, member, state);
+    if (!ended) {
+      return reply({ success: true, advanced: false });
+    }
+
+    log("info", `Track ended in room ${roomId} — ${room.queue.length ? "advancing" : "queue empty, pausing"}`);
+    advanceRoom(room);
+    reply({ success: true, advanced: true });
+  });
+
+  // ── Drift Heartbeat ────────────────────────────────────────────────────────
+  // sampledAt is server time (client clock + synced offset)
+  on(CLIENT_EVENTS.SYNC_REPORT, ({ roomId, positionMs, sampledAt, trackUri }, callback) => {
+    if (typeof callback !== "function") return;
+    if (!memberBySocket(roomId, socket.id)) {
+      return callback({ success: false, error: "Not in this room." });
+    }
+
+    // Nothing to measure while paused or waiting for a scheduled start
+    const state = getPlaybackState(roomId);
+    if (!state.isPlaying || state.updatedAt > Date.now()) {
+      return callback({ success: true, driftMs: null, correction: null, state });
+    }
+
+    // Wrong song entirely — the client should re-apply the room state
+    if (trackUri && state.trackUri && trackUri !== state.trackUri) {
+      return callback({ success: true, driftMs: null, correction: "resync", state });
+    }
+
+    const expectedMs = currentPositionMs(state, Math.min(sampledAt, Date.now()));
+    const driftMs    = Math.round(positionMs - expectedMs);
+    const stats      = recordDrift(roomId, socket.id, driftMs);
+
+    io.to(roomId).emit(SERVER_EVENTS.DRIFT_STATS, stats);
+    callback({ success: true, driftMs, correction: driftCorrection(driftMs), state });
+  });
+
+  // ── Reactions ──────────────────────────────────────────────────────────────
+  on(CLIENT_EVENTS.REACTION, ({ roomId, emoji }) => {
+    const member = memberBySocket(roomId, socket.id);
+    if (!member) return;
+
+    socket.to(roomId).emit(SERVER_EVENTS.REACTION, {
+      roomId, emoji, from: socket.id, memberId: member.id, timestamp: Date.now(),
+    });
   });
 
   // ── Disconnect ─────────────────────────────────────────────────────────────
+  // Not a leave: the member keeps their slot for the grace period
   socket.on("disconnect", (reason) => {
     log("info", `Socket disconnected: ${socket.id} — reason: ${reason}`);
 
-    // Notify partner if they were in a room together
-    if (currentRoom) {
-      socket.to(currentRoom).emit("partner-left");
-    }
+    const room   = currentRoom ? rooms.get(currentRoom) : null;
+    const member = room?.members.get(currentToken);
+    if (!member || member.socketId !== socket.id) return;
+
+    forgetDrift(room.id, socket.id);
+    socket.to(room.id).emit(SERVER_EVENTS.PARTNER_RECONNECTING, { roomId: room.id, memberId: member.id, graceMs: roomGraceMs });
+    startGracePeriod(room, member);
+    if (room.vote) recountVote(room);
+    broadcastRoster(room);
   });
 });
 
@@ -296,15 +1784,18 @@ io.on("connection", (socket) => {
    Start Server + Graceful Shutdown
 ══════════════════════════════════════════════════════════════════════════════ */
 
+await restoreRooms();
+
 server.listen(PORT, () => {
-  log("info", `Server running on http://localhost:${PORT} [${NODE_ENV}]`);
+  log("info", `Server running on http://localhost:${PORT} [${NODE_ENV}] — ${STORE} store, ${AUTH_FLOW} login${IS_DEMO ? ", Spotify demo mode" : ""}`);
 });
 
 function shutdown(signal) {
   log("info", `${signal} received — shutting down gracefully`);
   io.close();
-  server.close(() => {
+  server.close(async () => {
     log("info", "HTTP server closed.");
+    await store.close().catch((err) => log("error", "Store close failed:", err.message));
     process.exit(0);
   });
   // Force exit if graceful close hangs
@@ -0,0 +1,70 @@
+/**
+ * store/fileStore.js — Durable JSON file backend
+ *
+ * Keeps a memory store as the working copy and writes it to disk shortly
+ * after each change (debounced). Writes go to a temp file and are renamed
+ * into place, so a crash mid-write never leaves a truncated store behind.
+ * The file holds Spotify refresh tokens — keep it out of backups you share.
+ */
+
+import fs   from "fs/promises";
+import path from "path";
+import { createMemoryStore } from "./memoryStore.js";
+
+const FLUSH_DELAY_MS = 250;
+
+const MUTATIONS = [
+  "saveRoom", "deleteRoom",
+  "saveMember", "removeMember",
+  "saveQueue",
+  "savePlayback", "appendHistory",
+  "saveSession", "deleteSession", "purgeSessions",
+];
+
+async function readSnapshot(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return { rooms: [], sessions: [] };
+    throw new Error(`Could not read store file ${filePath}: ${err.message}`);
+  }
+}
+
+async function writeAtomic(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.tmp`;
+  await fs.writeFile(tmp, data, { encoding: "utf8", mode: 0o600 }); // owner-only: holds refresh tokens
+  await fs.rename(tmp, filePath);
+}
+
+export async function createFileStore(filePath, { onError = () => {} } = {}) {
+  const memory = createMemoryStore(await readSnapshot(filePath));
+
+  let timer   = null;
+  let writing = Promise.resolve();
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    const data = JSON.stringify(memory.snapshot());
+    writing = writing.then(() => writeAtomic(filePath, data)).catch(onError);
+    return writing;
+  }
+
+  function scheduleFlush() {
+    if (!timer) timer = setTimeout(flush, FLUSH_DELAY_MS);
+  }
+
+  const store = { ...memory };
+  for (const name of MUTATIONS) {
+    store[name] = async (...args) => {
+      const result = await memory[name](...args);
+      scheduleFlush();
+      return result;
+    };
+  }
+
+  store.close = () => flush();
+
+  return store;
+}
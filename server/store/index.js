@@ -0,0 +1,26 @@
+/**
+ * store/index.js — Storage backend selection
+ *
+ * STORE=memory (default) — in-process, nothing survives a restart
+ * STORE=file             — JSON file at STORE_PATH (default ./data/duofy.json)
+ *
+ * Every backend implements the same async interface:
+ *   listRooms() saveRoom() deleteRoom()
+ *   saveMember() removeMember()
+ *   saveQueue()
+ *   savePlayback()
+ *   appendHistory() getHistory()
+ *   saveSession() getSession() deleteSession() purgeSessions()
+ *   close()
+ */
+
+import { createMemoryStore } from "./memoryStore.js";
+import { createFileStore }   from "./fileStore.js";
+
+export async function createStore({ kind = "memory", path = "./data/duofy.json", onError } = {}) {
+  switch (kind) {
+    case "memory": return createMemoryStore();
+    case "file":   return createFileStore(path, { onError });
+    default:       throw new Error(`Unknown STORE "${kind}" — use "memory" or "file".`);
+  }
+}
@@ -0,0 +1,137 @@
+/**
+ * store/memoryStore.js — In-process storage backend
+ *
+ * The default backend: fast, dependency-free, and gone on restart.
+ * Also serves as the working copy underneath the file store.
+ *
+ * Snapshot shape (what snapshot() returns and the constructor accepts):
+ *   { rooms: [{ id, createdAt, expiresAt, passcode, settings, members: [{ token, id, slot, role, profile }], queue, playback, history: [...] }],
+ *     sessions: [{ id, refreshToken, accessToken, expiresAt, createdAt }] }
+ */
+
+const HISTORY_LIMIT = 200; // per room, oldest dropped first
+
+export function createMemoryStore(snapshot = { rooms: [], sessions: [] }) {
+  const rooms = new Map(); // roomId → { id, createdAt, settings, members: Map<token, member>, queue, playback, history }
+
+  for (const r of snapshot.rooms ?? []) {
+    rooms.set(r.id, {
+      id:        r.id,
+      createdAt: r.createdAt,
+      expiresAt: r.expiresAt ?? null,
+      passcode:  r.passcode ?? null,
+      settings:  r.settings ?? null,
+      members:   new Map((r.members ?? []).map((m) => [m.token, { ...m }])),
+      queue:     r.queue ?? [],
+      playback:  r.playback ?? null,
+      history:   r.history ?? [],
+    });
+  }
+
+  const sessions = new Map((snapshot.sessions ?? []).map((s) => [s.id, { ...s }])); // sessionId → session
+
+  function toRecord(room) {
+    return {
+      id:        room.id,
+      createdAt: room.createdAt,
+      expiresAt: room.expiresAt,
+      passcode:  room.passcode ? { ...room.passcode } : null,
+      settings:  room.settings ? { ...room.settings } : null,
+      members:   [...room.members.values()].map((m) => ({ ...m })),
+      queue:     room.queue.map((q) => ({ ...q })),
+      playback:  room.playback ? { ...room.playback } : null,
+      history:   room.history.map((h) => ({ ...h })),
+    };
+  }
+
+  return {
+    // ── Rooms ──────────────────────────────────────────────────
+    async listRooms() {
+      return [...rooms.values()].map(toRecord);
+    },
+
+    async saveRoom({ id, createdAt, expiresAt, passcode, settings }) {
+      const existing = rooms.get(id);
+      rooms.set(id, {
+        id,
+        createdAt,
+        expiresAt: expiresAt ?? null,
+        passcode:  passcode ? { ...passcode } : null,
+        settings: settings ? { ...settings } : null,
+        members:  existing?.members ?? new Map(),
+        queue:    existing?.queue ?? [],
+        playback: existing?.playback ?? null,
+        history:  existing?.history ?? [],
+      });
+    },
+
+    async deleteRoom(roomId) {
+      rooms.delete(roomId);
+    },
+
+    // ── Members ────────────────────────────────────────────────
+    // member: a plain record, stored as given and keyed by its session token
+    async saveMember(roomId, member) {
+      rooms.get(roomId)?.members.set(member.token, { ...member });
+    },
+
+    async removeMember(roomId, token) {
+      rooms.get(roomId)?.members.delete(token);
+    },
+
+    // ── Queue ──────────────────────────────────────────────────
+    // Stored whole — queues are short and every edit touches the order
+    async saveQueue(roomId, queue) {
+      const room = rooms.get(roomId);
+      if (room) room.queue = queue.map((q) => ({ ...q }));
+    },
+
+    // ── Playback ───────────────────────────────────────────────
+    async savePlayback(roomId, state) {
+      const room = rooms.get(roomId);
+      if (room) room.playback = { ...state };
+    },
+
+    // ── Listening history ──────────────────────────────────────
+    async appendHistory(roomId, entry) {
+      const room = rooms.get(roomId);
+      if (!room) return;
+      room.history.push({ ...entry });
+      if (room.history.length > HISTORY_LIMIT) room.history.splice(0, room.history.length - HISTORY_LIMIT);
+    },
+
+    // Most recent first
+    async getHistory(roomId, limit = 50) {
+      const history = rooms.get(roomId)?.history ?? [];
+      return history.slice(-limit).reverse().map((h) => ({ ...h }));
+    },
+
+    // ── Auth sessions ──────────────────────────────────────────
+    async saveSession(session) {
+      sessions.set(session.id, { ...session });
+    },
+
+    async getSession(sessionId) {
+      const session = sessions.get(sessionId);
+      return session ? { ...session } : null;
+    },
+
+    async deleteSession(sessionId) {
+      sessions.delete(sessionId);
+    },
+
+    async purgeSessions(createdBefore) {
+      for (const [id, s] of sessions) if (s.createdAt < createdBefore) sessions.delete(id);
+    },
+
+    // ── Lifecycle ──────────────────────────────────────────────
+    snapshot() {
+      return {
+        rooms:    [...rooms.values()].map(toRecord),
+        sessions: [...sessions.values()].map((s) => ({ ...s })),
+      };
+    },
+
+    async close() {},
+  };
+}
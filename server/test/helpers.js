@@ -0,0 +1,103 @@
+/**
+ * test/helpers.js — Run the real server in a child process and talk to it
+ *
+ * The server starts on import (store, listen, timers), so tests drive it the
+ * way a browser would: HTTP for login and tokens, socket.io for rooms. Demo
+ * mode stands in for Spotify, so nothing leaves the machine.
+ *
+ *   startServer(env)          → { url, stop() }   stop() waits for a graceful exit
+ *   login(url)                → session cookie ("duofy_sid=…")
+ *   connect(url, cookie, listener) → a connected socket for that demo listener
+ *   ack(socket, event, payload)    → the event's acknowledgement
+ */
+
+import { spawn } from "child_process";
+import net       from "net";
+import path      from "path";
+import { fileURLToPath } from "url";
+import { io }    from "socket.io-client";
+import { PROTOCOL_VERSION } from "../../shared/protocol.js";
+
+const SERVER_DIR = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const START_TIMEOUT_MS = 10 * 1000;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on("error", reject);
+  });
+}
+
+export async function startServer(env = {}) {
+  const port  = env.PORT ?? await freePort();
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: SERVER_DIR,
+    env: {
+      ...process.env,
+      SPOTIFY_MODE:       "demo",
+      NODE_ENV:           "development", // the "Server running" line is an info log
+      FRONTEND_URL:       "http://127.0.0.1:5173",
+      OAUTH_STATE_SECRET: "test-secret",  // fixed, so tokens outlive a restart
+      ...env,
+      PORT: String(port),
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  let output = "";
+  const exited = new Promise((resolve) => child.on("exit", resolve));
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server didn't start:\n${output}`)), START_TIMEOUT_MS);
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes("Server running")) { clearTimeout(timer); resolve(); }
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", onData);
+    exited.then(() => { clearTimeout(timer); reject(new Error(`Server exited:\n${output}`)); });
+  });
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    async stop() {
+      if (child.exitCode === null) child.kill("SIGTERM");
+      await exited;
+    },
+  };
+}
+
+// Follows the demo login: /login → demo accounts → /callback, which sets the session cookie
+export async function login(url) {
+  const manual = { redirect: "manual" };
+  let res = await fetch(`${url}/login`, manual);
+  const oauthCookie = res.headers.get("set-cookie").split(";")[0];
+  res = await fetch(res.headers.get("location"), manual);
+  res = await fetch(res.headers.get("location"), { ...manual, headers: { cookie: oauthCookie } });
+  const session = res.headers.getSetCookie().find((c) => c.startsWith("duofy_sid="));
+  if (!session) throw new Error(`Login failed with ${res.status} → ${res.headers.get("location")}`);
+  return session.split(";")[0];
+}
+
+// listener: a demo listener id ("demo-" + 8 hex digits), so one login can be several people
+export async function connect(url, cookie, listener) {
+  const res = await fetch(`${url}/socket-token?listener=${listener}`, { headers: { cookie } });
+  const { token } = await res.json();
+  const socket = io(url, {
+    transports:   ["websocket"],
+    reconnection: false,
+    auth:         { token, protocol: PROTOCOL_VERSION },
+  });
+  await new Promise((resolve, reject) => {
+    socket.once("connect", resolve);
+    socket.once("connect_error", reject);
+  });
+  return socket;
+}
+
+export function ack(socket, event, payload) {
+  return new Promise((resolve) => socket.emit(event, payload, resolve));
+}
@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert   from "node:assert/strict";
+import { CLIENT_EVENTS } from "../../shared/protocol.js";
+import { startServer, login, connect, ack } from "./helpers.js";
+
+test("room history is for the room's own members", async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const cookie = await login(server.url);
+
+  const host = await connect(server.url, cookie, "demo-0000000a");
+  t.after(() => host.disconnect());
+  const { roomId } = await ack(host, CLIENT_EVENTS.CREATE_ROOM, {});
+  const played = await ack(host, CLIENT_EVENTS.CONTROL, {
+    event: "track", roomId, trackUri: "spotify:track:4uLU6hMCjMI75M1A2tKUQC", trackName: "Test Track",
+  });
+  assert.equal(played.success, true);
+
+  const history = (listener, headers = { cookie }) =>
+    fetch(`${server.url}/rooms/${roomId.toLowerCase()}/history?listener=${listener}`, { headers });
+
+  assert.equal((await history("demo-0000000a", {})).status, 401);
+
+  const res = await history("demo-0000000a");
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.roomId, roomId);
+  assert.deepEqual(body.history.map((h) => h.trackName), ["Test Track"]);
+
+  // Same login, but a listener without a slot in the room
+  assert.equal((await history("demo-0000000b")).status, 404);
+});
@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert   from "node:assert/strict";
+import fs       from "fs/promises";
+import os       from "os";
+import path     from "path";
+import { CLIENT_EVENTS } from "../../shared/protocol.js";
+import { startServer, login, connect, ack } from "./helpers.js";
+
+const ROOM_TTL_MS = 3000;
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("a room kept busy past its first expiry survives a file store restart", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "duofy-test-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const env = { STORE: "file", STORE_PATH: path.join(dir, "duofy.json"), ROOM_TTL_MS: String(ROOM_TTL_MS) };
+
+  let server = await startServer(env);
+  t.after(() => server.stop());
+  const cookie = await login(server.url);
+
+  const host = await connect(server.url, cookie, "demo-0000000a");
+  const { roomId } = await ack(host, CLIENT_EVENTS.CREATE_ROOM, {});
+  assert.ok(roomId);
+
+  // Every control touches the room; keep at it until the creation-time expiry is long gone
+  const until = Date.now() + ROOM_TTL_MS * 1.5;
+  while (Date.now() < until) {
+    const res = await ack(host, CLIENT_EVENTS.CONTROL, { event: "pause", roomId, positionMs: 0 });
+    assert.equal(res.success, true);
+    await sleep(400);
+  }
+  host.disconnect();
+  await server.stop();
+
+  server = await startServer({ ...env, PORT: new URL(server.url).port });
+  const guest  = await connect(server.url, cookie, "demo-0000000b");
+  const joined = await ack(guest, CLIENT_EVENTS.JOIN_ROOM, { roomId });
+  guest.disconnect();
+  assert.equal(joined.success, true, joined.error);
+});
@@ -0,0 +1,238 @@
+/**
+ * shared/protocol.js — The Duo-fy socket protocol
+ *
+ * Every event the client and server exchange, and what each one carries. Both
+ * sides import this file, so a name or a field can't change on one side only.
+ *
+ * Versioning: the client sends PROTOCOL_VERSION in its handshake auth
+ * ({ token, protocol }). A server on another version refuses the connection
+ * with PROTOCOL_MISMATCH, and the client asks the user to refresh — a tab left
+ * open across a deploy gets the new bundle instead of half-working. Bump the
+ * version with any change an older client or server would trip over: a renamed
+ * event, a new required field, a field that changes meaning. Adding an
+ * optional field doesn't need a bump.
+ *
+ * Exports:
+ *   PROTOCOL_VERSION, PROTOCOL_MISMATCH
+ *   CLIENT_EVENTS, SERVER_EVENTS  — event names, by what they're for
+ *   CLIENT_PAYLOADS               — event → schema; the server refuses anything else
+ *   SERVER_PAYLOADS               — event → schema; the client checks them in development
+ *   CONTROL_ACTIONS               — control "event" → the SERVER_EVENTS broadcast it causes
+ *   CONTROL_MODES
+ *   isValidTrackUri(uri), isValidImageUrl(url)
+ */
+
+import { string, number, boolean, oneOf, object, list, optional, nullable, check } from "./schema.js";
+
+export const PROTOCOL_VERSION  = 1;
+export const PROTOCOL_MISMATCH = "protocol_mismatch"; // connect_error message
+
+// ── Event names ─────────────────────────────────────────────
+// Client → server. All are acknowledged except CAST_VOTE, LEAVE_ROOM,
+// TRACK_ENDED and REACTION.
+export const CLIENT_EVENTS = {
+  TIME_SYNC:       "time-sync",
+  CREATE_ROOM:     "create-room",
+  JOIN_ROOM:       "join-room",
+  CREATE_INVITE:   "create-invite",
+  REQUEST_STATE:   "request-state",
+  UPDATE_PROFILE:  "update-profile",
+  TRANSFER_HOST:   "transfer-host",
+  UPDATE_SETTINGS: "update-settings",
+  CAST_VOTE:       "cast-vote",
+  QUEUE_ADD:       "queue-add",
+  QUEUE_REMOVE:    "queue-remove",
+  QUEUE_MOVE:      "queue-move",
+  LEAVE_ROOM:      "leave-room",
+  CONTROL:         "control",
+  TRACK_ENDED:     "track-ended",
+  SYNC_REPORT:     "sync-report",
+  REACTION:        "reaction",
+};
+
+// Server → client
+export const SERVER_EVENTS = {
+  SYNC_PLAY:            "sync-play",
+  SYNC_PAUSE:           "sync-pause",
+  SYNC_SEEK:            "sync-seek",
+  SYNC_TRACK:           "sync-track",
+  ROOM_MEMBERS:         "room-members",
+  MEMBER_UPDATED:       "member-updated",
+  PARTNER_JOINED:       "partner-joined",
+  PARTNER_LEFT:         "partner-left",
+  PARTNER_RECONNECTING: "partner-reconnecting",
+  PARTNER_RECONNECTED:  "partner-reconnected",
+  QUEUE_UPDATED:        "queue-updated",
+  VOTE_UPDATED:         "vote-updated",
+  VOTE_ENDED:           "vote-ended",
+  DRIFT_STATS:          "drift-stats",
+  REACTION:             "reaction",
+  SESSION_REPLACED:     "session-replaced",
+  ROOM_EXPIRED:         "room-expired",
+};
+
+// control "event" → what the room hears
+export const CONTROL_ACTIONS = {
+  play:  SERVER_EVENTS.SYNC_PLAY,
+  pause: SERVER_EVENTS.SYNC_PAUSE,
+  seek:  SERVER_EVENTS.SYNC_SEEK,
+  track: SERVER_EVENTS.SYNC_TRACK,
+  next:  SERVER_EVENTS.SYNC_TRACK, // resolved to a "track" from the shared queue
+};
+
+export const CONTROL_MODES = ["host", "everyone", "vote"];
+
+// Spotify tracks, files each member picks locally, and https links — never
+// plain http, which an https page can't load
+export function isValidTrackUri(uri) {
+  return typeof uri === "string" && uri.length <= 200 && /^(spotify:|local:|https:\/\/)./.test(uri);
+}
+
+export function isValidImageUrl(url) {
+  if (typeof url !== "string" || url.length > 500) return false;
+  try { return new URL(url).protocol === "https:"; } catch { return false; }
+}
+
+// ── Shared fields ───────────────────────────────────────────
+const roomId   = string({ max: 32 });
+const id       = string({ max: 64 });
+const ms       = number();
+const trackUri = check(isValidTrackUri, "a spotify:, local: or https:// track URI of up to 200 characters");
+const secret   = optional(nullable(string({ min: 0, max: 1000 }))); // passcodes, tokens
+
+// The server's normalizeProfile still decides which well-typed values to keep
+const profile = {
+  displayName: optional(nullable(string({ min: 0, max: 200 }))),
+  avatarUrl:   optional(nullable(string({ max: 500 }))),
+  product:     optional(nullable(string({ max: 20 }))),
+  deviceReady: optional(boolean()),
+};
+
+const settings = object({
+  capacity:    optional(number({ integer: true })),
+  controlMode: optional(oneOf(CONTROL_MODES)),
+  locked:      optional(boolean()),
+});
+
+// ── Client payloads ─────────────────────────────────────────
+// Fields not listed here never reach the server's handlers.
+export const CLIENT_PAYLOADS = {
+  [CLIENT_EVENTS.TIME_SYNC]:       { rtt: optional(ms) },
+  // The server picks the room code — it comes back in the ack
+  [CLIENT_EVENTS.CREATE_ROOM]:     { settings: optional(settings), passcode: secret, ...profile },
+  // roomId is as typed (normalized by the server); sessionToken resumes a slot
+  [CLIENT_EVENTS.JOIN_ROOM]:       { roomId: optional(string({ max: 64 })), invite: secret, passcode: secret,
+                                     sessionToken: secret, ...profile },
+  [CLIENT_EVENTS.CREATE_INVITE]:   { roomId },
+  [CLIENT_EVENTS.REQUEST_STATE]:   { roomId },
+  [CLIENT_EVENTS.UPDATE_PROFILE]:  { roomId, ...profile },
+  [CLIENT_EVENTS.TRANSFER_HOST]:   { roomId, memberId: id },
+  [CLIENT_EVENTS.UPDATE_SETTINGS]: { roomId, settings },
+  [CLIENT_EVENTS.CAST_VOTE]:       { roomId, voteId: id },
+  [CLIENT_EVENTS.QUEUE_ADD]:       {
+    roomId,
+    track: object({
+      uri:        trackUri,
+      name:       string({ max: 200 }),
+      artists:    optional(string({ max: 300 })),
+      albumArt:   optional(nullable(check(isValidImageUrl, "an https image URL"))),
+      durationMs: optional(ms),
+    }),
+  },
+  [CLIENT_EVENTS.QUEUE_REMOVE]:    { roomId, itemId: id },
+  [CLIENT_EVENTS.QUEUE_MOVE]:      { roomId, itemId: id, toIndex: number({ integer: true }) },
+  [CLIENT_EVENTS.LEAVE_ROOM]:      { roomId },
+  // seek needs positionMs and track needs trackUri — the server checks those
+  [CLIENT_EVENTS.CONTROL]:         { event: oneOf(Object.keys(CONTROL_ACTIONS)), roomId, positionMs: optional(ms),
+                                     trackUri: optional(trackUri), trackName: optional(string({ max: 200 })),
+                                     durationMs: optional(ms) },
+  [CLIENT_EVENTS.TRACK_ENDED]:     { roomId, trackUri: optional(trackUri) },
+  // sampledAt is server time (the client's clock plus its measured offset)
+  [CLIENT_EVENTS.SYNC_REPORT]:     { roomId, positionMs: ms, sampledAt: ms, trackUri: optional(trackUri) },
+  [CLIENT_EVENTS.REACTION]:        { roomId, emoji: string({ max: 16 }) },
+};
+
+// ── Server payloads ─────────────────────────────────────────
+const member = object({
+  id,
+  slot:      number({ integer: true }),
+  role:      oneOf(["host", "guest"]),
+  connected: boolean(),
+  ...profile,
+});
+
+const vote = object({
+  id,
+  event:     oneOf(Object.keys(CONTROL_ACTIONS)),
+  trackName: nullable(string({ max: 200 })),
+  byId:      id,
+  votes:     number({ integer: true }),
+  needed:    number({ integer: true }),
+  expiresAt: ms,
+});
+
+// Server time throughout; updatedAt may be ahead of now for a scheduled start
+const playbackState = object({
+  trackUri:   nullable(trackUri),
+  durationMs: nullable(ms),
+  positionMs: ms,
+  isPlaying:  boolean(),
+  updatedAt:  ms,
+  version:    number({ integer: true }),
+});
+
+// from — the socket that sent the control, or null when the server acted on
+// its own (a vote passed, or reason "ended" for an auto-advance); memberId — the
+// member who sent it, for naming them, null likewise (and for "next" it's set
+// while from is null); startAt — when everyone starts playing, for play/seek/track
+const sync = {
+  roomId,
+  from:      nullable(string({ max: 64 })),
+  memberId:  optional(nullable(id)),
+  state:     playbackState,
+  timestamp: ms,
+  trackName: optional(string({ max: 200 })),
+  reason:    optional(string({ max: 32 })),
+  startAt:   optional(ms),
+};
+
+const queueItem = object({
+  id,
+  uri:        trackUri,
+  name:       string({ max: 200 }),
+  artists:    nullable(string({ max: 300 })),
+  albumArt:   nullable(string({ max: 500 })),
+  durationMs: nullable(ms),
+  addedBy:    nullable(id),
+  addedAt:    ms,
+});
+
+export const SERVER_PAYLOADS = {
+  [SERVER_EVENTS.SYNC_PLAY]:            sync,
+  [SERVER_EVENTS.SYNC_PAUSE]:           sync,
+  [SERVER_EVENTS.SYNC_SEEK]:            sync,
+  [SERVER_EVENTS.SYNC_TRACK]:           sync,
+  [SERVER_EVENTS.ROOM_MEMBERS]:         {
+    roomId,
+    settings:    object({ capacity: number({ integer: true }), controlMode: oneOf(CONTROL_MODES), locked: boolean() }),
+    maxCapacity: number({ integer: true }),
+    hostId:      nullable(id),
+    members:     list(member),
+    vote:        nullable(vote),
+    hasPasscode: boolean(),
+  },
+  [SERVER_EVENTS.MEMBER_UPDATED]:       { roomId, member },
+  [SERVER_EVENTS.PARTNER_JOINED]:       { roomId, memberId: id, ...member.fields },
+  [SERVER_EVENTS.PARTNER_LEFT]:         { roomId, memberId: nullable(id) },
+  [SERVER_EVENTS.PARTNER_RECONNECTING]: { roomId, memberId: id, graceMs: ms },
+  [SERVER_EVENTS.PARTNER_RECONNECTED]:  { roomId, memberId: id },
+  [SERVER_EVENTS.QUEUE_UPDATED]:        { roomId, queue: list(queueItem) },
+  [SERVER_EVENTS.VOTE_UPDATED]:         { roomId, vote },
+  [SERVER_EVENTS.VOTE_ENDED]:           { roomId, voteId: id, passed: boolean() },
+  // members: socket id → last drift (ms, signed)
+  [SERVER_EVENTS.DRIFT_STATS]:          { roomId, members: object({}), maxDriftMs: ms },
+  [SERVER_EVENTS.REACTION]:             { roomId, emoji: string({ max: 16 }), from: string({ max: 64 }),
+                                          memberId: optional(id), timestamp: ms },
+  [SERVER_EVENTS.SESSION_REPLACED]:     { roomId },
+  [SERVER_EVENTS.ROOM_EXPIRED]:         { roomId },
+};
@@ -0,0 +1,101 @@
+/**
+ * shared/schema.js — Payload schemas for socket events
+ *
+ * Plain functions with no dependencies, so the server and the browser bundle
+ * import the same file — see protocol.js for the schemas themselves.
+ *
+ * A schema is a plain object of field → validator. A validator takes a value
+ * and returns null when it's acceptable, or what it expected instead:
+ *
+ *   const schema = { roomId: string({ max: 32 }), positionMs: optional(number()) };
+ *   validate(schema, { roomId: "K7QF2M", extra: 1 })
+ *     → { value: { roomId: "K7QF2M" } }          (unknown fields are dropped)
+ *   validate(schema, { roomId: 42 })
+ *     → { error: "roomId: expected a string of 1–32 characters" }
+ *
+ * Exports:
+ *   validate(schema, payload) → { value } | { error }
+ *   string, number, boolean, oneOf, object, list, optional, nullable, check — validators
+ */
+
+// → null, or what the value should have been
+export function string({ min = 1, max = 200, pattern } = {}) {
+  return (value) =>
+    typeof value === "string" && value.length >= min && value.length <= max && (!pattern || pattern.test(value))
+      ? null
+      : `a string of ${min}–${max} characters${pattern ? " in the right format" : ""}`;
+}
+
+export function number({ min = 0, max = Number.MAX_SAFE_INTEGER, integer = false } = {}) {
+  return (value) =>
+    typeof value === "number" && Number.isFinite(value) && value >= min && value <= max &&
+    (!integer || Number.isInteger(value))
+      ? null
+      : `${integer ? "an integer" : "a number"} ${max === Number.MAX_SAFE_INTEGER ? `of at least ${min}` : `from ${min} to ${max}`}`;
+}
+
+export function boolean() {
+  return (value) => (typeof value === "boolean" ? null : "true or false");
+}
+
+export function oneOf(values) {
+  const allowed = new Set(values);
+  return (value) => (allowed.has(value) ? null : `one of ${values.join(", ")}`);
+}
+
+// A nested object — validate() checks and strips it with its own schema
+export function object(schema) {
+  const validator = (value) => (isPlainObject(value) ? null : "an object");
+  validator.fields = schema;
+  return validator;
+}
+
+// An array — each item is checked (nested objects too), but kept as sent
+export function list(item) {
+  return (value) => {
+    if (!Array.isArray(value)) return "a list";
+    for (const entry of value) {
+      const expected = item(entry) ?? (item.fields && validate(item.fields, entry).error);
+      if (expected) return `a list of ${expected}`;
+    }
+    return null;
+  };
+}
+
+// optional / nullable keep a nested object's schema (`fields`) for validate()
+export function optional(validator) {
+  return Object.assign((value) => (value === undefined ? null : validator(value)), { fields: validator.fields });
+}
+
+export function nullable(validator) {
+  return Object.assign((value) => (value === null ? null : validator(value)), { fields: validator.fields });
+}
+
+// predicate: (value) → boolean, for rules the validators above can't say
+export function check(predicate, expected) {
+  return (value) => (predicate(value) ? null : expected);
+}
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+// payload: what the client sent; a missing payload counts as {}
+export function validate(schema, payload = {}) {
+  if (!isPlainObject(payload)) return { error: "expected an object" };
+
+  const value = {};
+  for (const [field, validator] of Object.entries(schema)) {
+    const expected = validator(payload[field]);
+    if (expected) return { error: `${field}: expected ${expected}` };
+    if (payload[field] === undefined) continue;
+    if (!validator.fields || !isPlainObject(payload[field])) {
+      value[field] = payload[field];
+      continue;
+    }
+    const nested = validate(validator.fields, payload[field]);
+    if (nested.error) return { error: `${field}.${nested.error}` };
+    value[field] = nested.value;
+  }
+  return { value };
+}